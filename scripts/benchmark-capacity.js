@@ -0,0 +1,297 @@
+// scripts/benchmark-capacity.js - Compare the engineer list capacity queries
+//
+// Seeds a throwaway database with synthetic engineers, assignments and time
+// off, then times the old one-query-per-engineer approach against the single
+// aggregation used by GET /api/engineers, and checks that the aggregation
+// returns the same capacity figures as an independent day-by-day calculation
+// of the old results.
+//
+// Usage:
+//   BENCHMARK_MONGO_URI=mongodb://localhost:27017/erm_benchmark \
+//     npm run benchmark -- --engineers 300 --assignments 6 --runs 5
+//
+// BENCHMARK_MONGO_URI must point at a database you can throw away: every
+// user, assignment and time off record in it is deleted.
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+if (!process.env.BENCHMARK_MONGO_URI) {
+  console.error(
+    "Set BENCHMARK_MONGO_URI to a throwaway database. The benchmark deletes all data in it."
+  );
+  process.exit(1);
+}
+
+// Requiring the server only defines the app and its models; it does not
+// listen or start the background jobs, so the benchmark connects on its own
+const mongoose = require("mongoose");
+const server = require("../server");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(args[index + 1]);
+};
+
+const ENGINEERS = option("engineers", 300);
+const ASSIGNMENTS_PER_ENGINEER = option("assignments", 6);
+const RUNS = option("runs", 5);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const User = mongoose.model("ermUser");
+const Project = mongoose.model("ermProject");
+const Assignment = mongoose.model("ermAssignment");
+const TimeOff = mongoose.model("ermTimeOff");
+
+// Count database round trips through mongoose's debug hook
+let queryCount = 0;
+mongoose.set("debug", () => {
+  queryCount += 1;
+});
+
+const seed = async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Project.deleteMany({}),
+    Assignment.deleteMany({}),
+    TimeOff.deleteMany({}),
+  ]);
+
+  const manager = await User.create({
+    email: "benchmark-manager@example.com",
+    name: "Benchmark Manager",
+    password: "not-a-real-hash",
+    role: "manager",
+  });
+
+  const now = Date.now();
+  const project = await Project.create({
+    name: "Benchmark Project",
+    startDate: new Date(now - 180 * DAY_MS),
+    endDate: new Date(now + 180 * DAY_MS),
+    teamSize: ENGINEERS,
+    managerId: manager._id,
+  });
+
+  const engineers = await User.insertMany(
+    Array.from({ length: ENGINEERS }, (_, i) => ({
+      email: `engineer${i}@example.com`,
+      name: `Engineer ${String(i).padStart(4, "0")}`,
+      password: "not-a-real-hash",
+      role: "engineer",
+      skills: ["React", "Node.js"],
+      seniority: ["junior", "mid", "senior"][i % 3],
+      maxCapacity: i % 5 === 0 ? 50 : 100,
+      department: i % 2 ? "Frontend" : "Backend",
+    }))
+  );
+
+  const assignments = [];
+  const timeOff = [];
+  engineers.forEach((engineer, i) => {
+    for (let j = 0; j < ASSIGNMENTS_PER_ENGINEER; j++) {
+      const start = now + ((i * 7 + j * 11) % 60) * DAY_MS - 30 * DAY_MS;
+      assignments.push({
+        engineerId: engineer._id,
+        projectId: project._id,
+        allocationPercentage: [10, 20, 25, 40, 50][(i + j) % 5],
+        startDate: new Date(start),
+        endDate: new Date(start + (((i + j) % 40) + 5) * DAY_MS),
+        role: "Developer",
+      });
+    }
+    if (i % 4 === 0) {
+      timeOff.push({
+        engineerId: engineer._id,
+        startDate: new Date(now + (i % 20) * DAY_MS),
+        endDate: new Date(now + ((i % 20) + 3) * DAY_MS),
+        percentage: 100,
+      });
+    }
+  });
+
+  await Assignment.insertMany(assignments);
+  await TimeOff.insertMany(timeOff);
+  await Promise.all([Assignment.syncIndexes(), TimeOff.syncIndexes()]);
+
+  return { assignments: assignments.length, timeOff: timeOff.length };
+};
+
+const dayIndex = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+// The capacity figures as GET /api/engineers computed them before the
+// aggregation: peak and average allocation over the whole days of the range,
+// with time off booking its share of maxCapacity. Worked out day by day here
+// rather than with the server's timeline helpers, so the comparison does not
+// check the new code against itself.
+const legacyCapacity = (engineer, records, startDate, endDate) => {
+  const daily = [];
+  for (let day = dayIndex(startDate); day <= dayIndex(endDate); day++) {
+    daily.push(
+      records
+        .filter(
+          (record) =>
+            dayIndex(record.startDate) <= day && dayIndex(record.endDate) >= day
+        )
+        .reduce((sum, record) => sum + record.allocationPercentage, 0)
+    );
+  }
+
+  const peak = Math.max(0, ...daily);
+  const average = daily.length
+    ? daily.reduce((sum, allocation) => sum + allocation, 0) / daily.length
+    : 0;
+  return {
+    availableCapacity: Math.max(0, engineer.maxCapacity - peak),
+    currentAllocation: peak,
+    averageAllocation: Math.round(average * 100) / 100,
+  };
+};
+
+// The approach GET /api/engineers used before: fetch the engineers, then load
+// each one again with their assignments and time off (three queries per
+// engineer)
+const legacyEngineerList = async (startDate, endDate) => {
+  const engineers = await User.find({ role: "engineer" })
+    .select("-password")
+    .sort({ name: 1 });
+  const overlap = (engineerId) => ({
+    engineerId,
+    startDate: { $lt: new Date((dayIndex(endDate) + 1) * DAY_MS) },
+    endDate: { $gte: new Date(dayIndex(startDate) * DAY_MS) },
+  });
+
+  return Promise.all(
+    engineers.map(async ({ _id }) => {
+      const engineer = await User.findById(_id).select("-password");
+      const assignments = await Assignment.find(overlap(_id));
+      const timeOff = await TimeOff.find(overlap(_id));
+
+      return {
+        ...engineer.toObject(),
+        ...legacyCapacity(
+          engineer,
+          [
+            ...assignments,
+            ...timeOff.map((entry) => ({
+              startDate: entry.startDate,
+              endDate: entry.endDate,
+              allocationPercentage:
+                (engineer.maxCapacity * entry.percentage) / 100,
+            })),
+          ],
+          startDate,
+          endDate
+        ),
+      };
+    })
+  );
+};
+
+const aggregatedEngineerList = (startDate, endDate) =>
+  server.loadEngineersWithCapacity({ role: "engineer" }, startDate, endDate, {
+    sort: { name: 1 },
+  });
+
+const measure = async (label, fn) => {
+  const timings = [];
+  let result;
+  let queries = 0;
+
+  for (let run = 0; run < RUNS; run++) {
+    queryCount = 0;
+    const started = process.hrtime.bigint();
+    result = await fn();
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+    queries = queryCount;
+  }
+
+  timings.sort((a, b) => a - b);
+  return {
+    label,
+    result,
+    queries,
+    medianMs: timings[Math.floor(timings.length / 2)],
+    minMs: timings[0],
+  };
+};
+
+const compare = (legacy, aggregated) => {
+  const byId = new Map(
+    aggregated.map((engineer) => [String(engineer._id), engineer])
+  );
+  const fields = [
+    "availableCapacity",
+    "currentAllocation",
+    "averageAllocation",
+  ];
+
+  return legacy.filter((engineer) => {
+    const other = byId.get(String(engineer._id));
+    return !other || fields.some((field) => engineer[field] !== other[field]);
+  });
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.BENCHMARK_MONGO_URI);
+
+  console.log(
+    `Seeding ${ENGINEERS} engineers with ${ASSIGNMENTS_PER_ENGINEER} assignments each...`
+  );
+  const seeded = await seed();
+  console.log(
+    `Seeded ${seeded.assignments} assignments and ${seeded.timeOff} time off entries`
+  );
+
+  const startDate = new Date();
+  const endDate = new Date();
+  endDate.setMonth(startDate.getMonth() + 1);
+
+  const legacy = await measure("per-engineer queries", () =>
+    legacyEngineerList(startDate, endDate)
+  );
+  const aggregated = await measure("single aggregation", () =>
+    aggregatedEngineerList(startDate, endDate)
+  );
+
+  console.table(
+    [legacy, aggregated].map(({ label, queries, medianMs, minMs }) => ({
+      approach: label,
+      queries,
+      "median ms": medianMs.toFixed(1),
+      "min ms": minMs.toFixed(1),
+    }))
+  );
+  console.log(
+    `Speedup: ${(legacy.medianMs / aggregated.medianMs).toFixed(1)}x (median of ${RUNS} runs)`
+  );
+
+  const mismatches = compare(legacy.result, aggregated.result);
+  if (mismatches.length > 0) {
+    console.error(
+      `${mismatches.length} engineer(s) got different capacity figures:`,
+      mismatches.map((engineer) => engineer.name)
+    );
+    process.exitCode = 1;
+  } else {
+    console.log(
+      "The aggregation matched the old per-engineer capacity figures."
+    );
+  }
+
+  await Promise.all([
+    User.deleteMany({}),
+    Project.deleteMany({}),
+    Assignment.deleteMany({}),
+    TimeOff.deleteMany({}),
+  ]);
+};
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
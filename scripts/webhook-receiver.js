@@ -0,0 +1,94 @@
+// scripts/webhook-receiver.js - Local endpoint for trying out webhooks
+//
+// Listens for webhook deliveries, checks each signature and prints the
+// event. Register http://localhost:4000/ as a webhook, start the receiver
+// with the secret the API returned, then call POST /api/webhooks/:id/ping or
+// make a change. The API refuses localhost URLs unless it runs with
+// WEBHOOK_ALLOW_PRIVATE_URLS=true.
+//
+// Usage:
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver -- --port 4000 --fail 2
+//
+// --fail N answers the first N deliveries with a 500 so the retries and
+// backoff can be watched in GET /api/webhooks/:id/deliveries.
+const http = require("http");
+const crypto = require("crypto");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(args[index + 1]);
+};
+
+const PORT = option("port", 4000);
+const FAIL_FIRST = option("fail", 0);
+const SECRET = process.env.WEBHOOK_SECRET;
+
+// Deliveries older than this are rejected to stop replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+if (!SECRET) {
+  console.error("Set WEBHOOK_SECRET to the secret returned for the webhook.");
+  process.exit(1);
+}
+
+// Helper function to check the X-Webhook-Signature header against the body
+const verifySignature = (headers, body) => {
+  const timestamp = Number(headers["x-webhook-timestamp"]);
+  if (!timestamp) return "missing timestamp";
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return "timestamp outside tolerance";
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto
+      .createHmac("sha256", SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`
+  );
+  const received = Buffer.from(String(headers["x-webhook-signature"] || ""));
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return "signature mismatch";
+  }
+
+  return null;
+};
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    received += 1;
+    const event = req.headers["x-webhook-event"];
+    const delivery = req.headers["x-webhook-delivery"];
+
+    const problem = verifySignature(req.headers, body);
+    if (problem) {
+      console.log(`#${received} ${event} ${delivery}: rejected (${problem})`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (received <= FAIL_FIRST) {
+      console.log(`#${received} ${event} ${delivery}: failing on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    console.log(`#${received} ${event} ${delivery}: verified`);
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+});
@@ -5,6 +5,11 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const ExcelJS = require("exceljs");
+const undici = require("undici");
 
 // Load environment variables
 dotenv.config();
@@ -15,9 +20,20 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// MongoDB Connection
-mongoose.connect(process.env.MONGO_URI).then(() => {
-  console.log("Connected to DB");
+// Tag every request with an id (the caller's X-Request-Id if it sent one) so
+// audit entries and logs can be traced back to it
+app.use((req, res, next) => {
+  req.id = req.get("X-Request-Id") || crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
+// Reject malformed ids in the URL before they reach a query
+app.param("id", (req, res, next, id) => {
+  if (!OBJECT_ID_PATTERN.test(id)) {
+    return next(httpError(400, `Invalid id: ${id}`, { code: "INVALID_ID" }));
+  }
+  next();
 });
 
 // Database Models
@@ -26,11 +42,23 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true },
     name: { type: String, required: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["engineer", "manager"], required: true },
-    skills: [String], // For engineers
+    role: {
+      type: String,
+      enum: ["engineer", "manager", "viewer", "admin"],
+      required: true,
+    },
+    skills: [String], // For engineers, canonical names from the skills catalog
+    skillLevels: [
+      {
+        _id: false,
+        skill: { type: String, required: true },
+        level: { type: Number, min: 1, max: 5, default: 3 },
+      },
+    ],
     seniority: { type: String, enum: ["junior", "mid", "senior"] },
     maxCapacity: { type: Number, default: 100 }, // 100 for full-time, 50 for part-time
     department: String,
+    managedDepartments: [String], // For managers: departments they may manage
   },
   { timestamps: true }
 );
@@ -42,17 +70,38 @@ const projectSchema = new mongoose.Schema(
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
     requiredSkills: [String],
+    requiredSkillLevels: [
+      {
+        _id: false,
+        skill: { type: String, required: true },
+        minLevel: { type: Number, min: 1, max: 5, default: 1 },
+      },
+    ],
     teamSize: { type: Number, required: true },
+    // Changed only through the transition endpoint or the lifecycle job
     status: {
       type: String,
-      enum: ["planning", "active", "completed"],
+      enum: ["planning", "active", "on-hold", "completed", "cancelled"],
       default: "planning",
     },
+    overdue: { type: Boolean, default: false }, // Still open past endDate
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: { type: String, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" }, // Unset for the lifecycle job
+        reason: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
     managerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ermUser",
       required: true,
     },
+    coManagerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "ermUser" }],
+    department: String,
   },
   { timestamps: true }
 );
@@ -77,560 +126,7995 @@ const assignmentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-const User = mongoose.model("ermUser", userSchema);
-const Project = mongoose.model("ermProject", projectSchema);
-const Assignment = mongoose.model("ermAssignment", assignmentSchema);
+const skillSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    category: { type: String, default: "General" }, // Frontend, Backend, etc.
+    aliases: [String],
+  },
+  { timestamps: true }
+);
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+// One session per login. The refresh token is stored hashed and rotated on
+// every refresh; hashes of rotated tokens are kept to detect reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermUser",
+      required: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+    rotatedTokenHashes: [String],
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+    revokedAt: Date,
+    revokedReason: String,
+    userAgent: String,
+    ip: String,
+  },
+  { timestamps: true }
+);
 
-  if (!token) {
-    return res.status(401).json({ error: "Access token required" });
+// Single-use invitation that lets someone register with an elevated role
+const inviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, lowercase: true, trim: true }, // Optional restriction
+    role: {
+      type: String,
+      enum: ["engineer", "manager", "viewer", "admin"],
+      required: true,
+    },
+    department: String,
+    tokenHash: { type: String, required: true, unique: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermUser",
+      required: true,
+    },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date,
+    usedBy: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Token for an iCalendar feed. Calendar apps cannot send an Authorization
+// header, so the feed URL carries the token; only its hash is stored.
+const calendarTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermUser",
+      required: true,
+    },
+    scope: { type: String, enum: ["personal", "team"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Outbound webhook subscription. The secret signs every delivery, so unlike
+// the other tokens it has to be kept as-is; it is only returned on creation
+// and rotation.
+const webhookSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    events: [
+      {
+        type: String,
+        enum: [
+          "assignment.created",
+          "assignment.updated",
+          "assignment.deleted",
+          "project.status_changed",
+          "engineer.overallocated",
+        ],
+      },
+    ],
+    description: String,
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" },
+  },
+  { timestamps: true }
+);
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermWebhook",
+      required: true,
+    },
+    event: { type: String, required: true },
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+    responseStatus: Number,
+    error: String,
+    log: [
+      {
+        _id: false,
+        attemptedAt: Date,
+        responseStatus: Number,
+        error: String,
+        durationMs: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// In-app notification for one user. dedupeKey stops scheduled reminders from
+// being sent twice.
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermUser",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "assignment.created",
+        "assignment.updated",
+        "assignment.deleted",
+        "assignment.ending",
+        "project.status_changed",
+      ],
+      required: true,
+    },
+    title: { type: String, required: true },
+    message: String,
+    data: mongoose.Schema.Types.Mixed, // assignmentId, projectId, projectName, ...
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" }, // Unset for system jobs
+    dedupeKey: String,
+    readAt: Date,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Time off or other unavailability. percentage is the share of the
+// engineer's maxCapacity that is unavailable on each day of the range.
+const timeOffSchema = new mongoose.Schema(
+  {
+    engineerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ermUser",
+      required: true,
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    type: {
+      type: String,
+      enum: ["vacation", "sick", "training", "other"],
+      default: "vacation",
+    },
+    percentage: { type: Number, min: 1, max: 100, default: 100 },
+    note: String,
+  },
+  { timestamps: true }
+);
+
+// Append-only record of a change. before/after are snapshots of the entity
+// (secrets stripped) and changes lists the top-level fields that differ.
+const auditSchema = new mongoose.Schema(
+  {
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" }, // Unset for system jobs
+    actorEmail: String,
+    action: { type: String, required: true }, // create, update, delete, ...
+    entity: {
+      type: String,
+      enum: [
+        "user",
+        "project",
+        "assignment",
+        "timeOff",
+        "skill",
+        "invite",
+        "webhook",
+        "system",
+      ],
+      required: true,
+    },
+    entityId: mongoose.Schema.Types.ObjectId,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    reason: String,
+    requestId: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditSchema.index({ actorId: 1, createdAt: -1 });
+auditSchema.index({ createdAt: -1 });
+
+// Audit entries are never changed or removed once written
+auditSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("The audit log is append-only"));
   }
+);
 
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "fallback-secret",
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: "Invalid token" });
+// Soft delete: deleted records keep their data with deletedAt/deletedBy set.
+// Queries and aggregations skip them unless run with the withDeleted option,
+// e.g. Project.find(filter).setOptions({ withDeleted: true }).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "ermUser" },
+  });
+
+  schema.pre(
+    [
+      "countDocuments",
+      "distinct",
+      "find",
+      "findOne",
+      "findOneAndUpdate",
+      "updateOne",
+      "updateMany",
+    ],
+    function () {
+      const { withDeleted } = this.getOptions();
+      delete this.options.withDeleted; // Not a driver option
+      if (!withDeleted) {
+        this.where({ deletedAt: null });
       }
-      req.user = user;
-      next();
     }
   );
-};
 
-// Authorization middleware for managers
-const requireManager = (req, res, next) => {
-  if (req.user.role !== "manager") {
-    return res.status(403).json({ error: "Manager access required" });
-  }
-  next();
+  schema.pre("aggregate", function () {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+    if (!withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
 };
 
-// Helper function to calculate available capacity
+softDelete(projectSchema);
+softDelete(assignmentSchema);
 
-const getAvailableCapacity = async (engineerId, startDate, endDate) => {
-  try {
-    const engineer = await User.findById(engineerId);
-    if (!engineer) return 0;
+// Capacity queries look assignments and time off up by engineer and date
+assignmentSchema.index({ engineerId: 1, startDate: 1, endDate: 1 });
+assignmentSchema.index({ projectId: 1 });
+timeOffSchema.index({ engineerId: 1, startDate: 1, endDate: 1 });
 
-    // Find overlapping assignments
-    const overlappingAssignments = await Assignment.find({
-      engineerId,
-      $or: [
-        {
-          startDate: { $lte: endDate },
-          endDate: { $gte: startDate },
-        },
-      ],
-    });
+// Notifications are listed per user, newest first, and kept for 90 days
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
 
-    const totalAllocated = overlappingAssignments.reduce((sum, assignment) => {
-      return sum + assignment.allocationPercentage;
-    }, 0);
+// The dispatcher polls for due deliveries; the log is kept for 30 days
+webhookSchema.index({ events: 1, active: 1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
 
-    return Math.max(0, engineer.maxCapacity - totalAllocated);
-  } catch (error) {
-    console.error("Error calculating available capacity:", error);
-    return 0;
-  }
-};
+const User = mongoose.model("ermUser", userSchema);
+const Project = mongoose.model("ermProject", projectSchema);
+const Assignment = mongoose.model("ermAssignment", assignmentSchema);
+const Skill = mongoose.model("ermSkill", skillSchema);
+const Session = mongoose.model("ermSession", sessionSchema);
+const Invite = mongoose.model("ermInvite", inviteSchema);
+const TimeOff = mongoose.model("ermTimeOff", timeOffSchema);
+const Audit = mongoose.model("ermAudit", auditSchema);
+const CalendarToken = mongoose.model("ermCalendarToken", calendarTokenSchema);
+const Webhook = mongoose.model("ermWebhook", webhookSchema);
+const WebhookDelivery = mongoose.model(
+  "ermWebhookDelivery",
+  webhookDeliverySchema
+);
+const Notification = mongoose.model("ermNotification", notificationSchema);
 
-// Authentication Routes
-app.post("/api/auth/register", async (req, res) => {
-  try {
-    const {
-      email,
-      name,
-      password,
-      role,
-      skills,
-      seniority,
-      maxCapacity,
-      department,
-    } = req.body;
+// Token helpers
+const JWT_SECRET = process.env.JWT_SECRET || "fallback-secret";
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: "User already exists" });
-    }
+// Registration without an invite is allowed unless explicitly switched off.
+// Open registration only ever creates engineers.
+const OPEN_REGISTRATION = process.env.OPEN_REGISTRATION !== "false";
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
 
-    // Create user
-    const user = new User({
-      email,
-      name,
-      password: hashedPassword,
-      role,
-      skills: role === "engineer" ? skills : undefined,
-      seniority: role === "engineer" ? seniority : undefined,
-      maxCapacity: maxCapacity || 100,
-      department,
-    });
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      sid: session._id,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
 
-    await user.save();
+// Helper function to start a new session and issue its token pair
+const issueTokens = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  await session.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "fallback-secret",
-      { expiresIn: "24h" }
-    );
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
 
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        skills: user.skills,
-        seniority: user.seniority,
-        maxCapacity: user.maxCapacity,
-        department: user.department,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Authentication middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    return next(httpError(401, "Access token required"));
   }
-});
 
-app.post("/api/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      if (err.name === "TokenExpiredError") {
+        return next(
+          httpError(401, "Access token expired", { code: "TOKEN_EXPIRED" })
+        );
+      }
+      return next(httpError(403, "Invalid token"));
+    }
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ error: "Invalid credentials" });
+    try {
+      // Tokens stop working as soon as their session is revoked
+      const session = user.sid && (await Session.findById(user.sid));
+      if (!session || session.revokedAt) {
+        return next(
+          httpError(401, "Token has been revoked", { code: "TOKEN_REVOKED" })
+        );
+      }
+    } catch (error) {
+      return next(error);
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: "Invalid credentials" });
+    req.user = user;
+    next();
+  });
+};
+
+// Authorization middleware
+//
+// Roles, from least to most privileged: engineers see their own data, viewers
+// can read everything, managers can change projects they are allowed to
+// manage (see checkProjectPolicy) and admins can change anything.
+const requireRole =
+  (roles, error = `Requires one of roles: ${roles.join(", ")}`) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(httpError(403, error, { rule: "role" }));
     }
+    next();
+  };
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "fallback-secret",
-      { expiresIn: "24h" }
-    );
+const requireManager = requireRole(
+  ["manager", "admin"],
+  "Manager access required"
+);
+const requireReader = requireRole(
+  ["viewer", "manager", "admin"],
+  "Viewer or manager access required"
+);
+const requireAdmin = requireRole(["admin"], "Admin access required");
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        skills: user.skills,
-        seniority: user.seniority,
-        maxCapacity: user.maxCapacity,
-        department: user.department,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+const idOf = (value) => String(value && value._id ? value._id : value);
 
-app.get("/api/auth/profile", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId).select("-password");
-    res.json({ user });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Decide whether the current user may change a project and its assignments.
+// Returns the rule that allowed or denied the request.
+const checkProjectPolicy = async (user, project) => {
+  if (user.role === "admin") {
+    return { allowed: true, rule: "admin" };
+  }
+  if (user.role !== "manager") {
+    return {
+      allowed: false,
+      rule: "role",
+      reason: `The ${user.role} role cannot change projects`,
+    };
+  }
+  if (idOf(project.managerId) === String(user.userId)) {
+    return { allowed: true, rule: "owner" };
+  }
+  if ((project.coManagerIds || []).some((id) => idOf(id) === user.userId)) {
+    return { allowed: true, rule: "co-owner" };
   }
-});
 
-// Engineer Routes
-app.get("/api/engineers", authenticateToken, async (req, res) => {
-  try {
-    const engineers = await User.find({ role: "engineer" }).select("-password");
+  const manager = await User.findById(user.userId).select("managedDepartments");
+  if (
+    project.department &&
+    manager &&
+    manager.managedDepartments.includes(project.department)
+  ) {
+    return { allowed: true, rule: "department" };
+  }
 
-    // Calculate current capacity for each engineer
-    const engineersWithCapacity = await Promise.all(
-      engineers.map(async (engineer) => {
-        const currentDate = new Date();
-        const futureDate = new Date();
-        futureDate.setMonth(currentDate.getMonth() + 1);
+  return {
+    allowed: false,
+    rule: "project-ownership",
+    reason: project.department
+      ? `You do not own or co-own project "${project.name}" and have not been granted the ${project.department} department`
+      : `You do not own or co-own project "${project.name}"`,
+  };
+};
 
-        const availableCapacity = await getAvailableCapacity(
-          engineer._id,
-          currentDate,
-          futureDate
-        );
+// Decide whether the current user may record or remove another engineer's
+// time off: admins always, managers for engineers in a department they manage
+// or assigned to a project they could change
+const checkTimeOffPolicy = async (user, engineer) => {
+  if (user.role === "admin") {
+    return { allowed: true, rule: "admin" };
+  }
+  if (user.role !== "manager") {
+    return {
+      allowed: false,
+      rule: "role",
+      reason: "You can only manage your own time off",
+    };
+  }
 
-        return {
-          ...engineer.toObject(),
-          availableCapacity,
-          currentAllocation: engineer.maxCapacity - availableCapacity,
-        };
-      })
-    );
+  const manager = await User.findById(user.userId).select("managedDepartments");
+  const departments = manager ? manager.managedDepartments : [];
+  if (engineer.department && departments.includes(engineer.department)) {
+    return { allowed: true, rule: "department" };
+  }
 
-    res.json({ engineers: engineersWithCapacity });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const projectIds = await Assignment.distinct("projectId", {
+    engineerId: engineer._id,
+  });
+  const managesProject = await Project.exists({
+    _id: { $in: projectIds },
+    $or: [
+      { managerId: user.userId },
+      { coManagerIds: user.userId },
+      { department: { $in: departments } },
+    ],
+  });
+  if (managesProject) {
+    return { allowed: true, rule: "project" };
   }
-});
 
-app.get("/api/engineers/:id/capacity", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { startDate, endDate } = req.query;
+  return {
+    allowed: false,
+    rule: "time-off-scope",
+    reason: `${engineer.name} is not in one of your departments or on one of your projects`,
+  };
+};
 
-    const availableCapacity = await getAvailableCapacity(
-      id,
-      new Date(startDate),
-      new Date(endDate)
-    );
+const denyByPolicy = (next, decision) =>
+  next(httpError(403, decision.reason, { rule: decision.rule }));
 
-    res.json({ availableCapacity });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Request validation
+//
+// Each route declares the fields it accepts. A field rule can set type
+// ("string", "number", "integer", "boolean", "date", "objectId", "array",
+// "object" or "skills"), required, enum, min/max, items (for arrays) and
+// fields (for objects). Fields a schema does not list are rejected, so every
+// schema doubles as the whitelist of what a route may change.
+const httpError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.response = { error: message, ...extra };
+  return error;
+};
 
-// Project Routes
-app.get("/api/projects", authenticateToken, async (req, res) => {
-  try {
-    const projects = await Project.find()
-      .populate("managerId", "name email")
-      .sort({ createdAt: -1 });
+const validationError = (details) =>
+  httpError(400, details.map((detail) => detail.message).join("; "), {
+    code: "VALIDATION_ERROR",
+    details,
+  });
 
-    res.json({ projects });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
   }
-});
+};
 
-app.post(
-  "/api/projects",
-  authenticateToken,
-  requireManager,
-  async (req, res) => {
-    try {
-      const project = new Project({
-        ...req.body,
-        managerId: req.user.userId,
-      });
+const isValidDate = (value) =>
+  value !== null && value !== "" && !Number.isNaN(new Date(value).getTime());
+
+// Helper function to check one value against its rule. Returns the cleaned
+// value, or pushes a message onto errors.
+const checkField = (field, value, rule, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message: `${field} ${message}` });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (rule.min !== undefined && value.trim().length < rule.min) {
+        return fail(`must be at least ${rule.min} characters`);
+      }
+      if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+        return fail("must be a valid email address");
+      }
+      if (rule.format === "url" && !isHttpUrl(value)) {
+        return fail("must be an http or https URL");
+      }
+      break;
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || Number.isNaN(number) || value === "") {
+        return fail("must be a number");
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return fail("must be a whole number");
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      value = number;
+      break;
+    }
+    case "boolean":
+      if (typeof value === "string" && ["true", "false"].includes(value)) {
+        value = value === "true";
+      }
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    case "date":
+      if (!isValidDate(value)) return fail("must be a valid date");
+      break;
+    case "objectId":
+      if (!OBJECT_ID_PATTERN.test(String(value))) {
+        return fail("must be a valid id");
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.min !== undefined && value.length < rule.min) {
+        return fail(`must contain at least ${rule.min} item(s)`);
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return fail(`must contain at most ${rule.max} item(s)`);
+      }
+      if (rule.items) {
+        value = value.map((item, index) =>
+          checkField(`${field}[${index}]`, item, rule.items, errors)
+        );
+      }
+      break;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return fail("must be an object");
+      }
+      value = checkFields(value, rule.fields, errors, `${field}.`);
+      break;
+    case "skills":
+      // Skill names, or { name, level } / { name, minLevel } objects
+      if (!Array.isArray(value)) return fail("must be an array");
+      value.forEach((item, index) => {
+        const itemField = `${field}[${index}]`;
+        if (typeof item === "string") return;
+        if (!item || typeof item.name !== "string") {
+          errors.push({
+            field: itemField,
+            message: `${itemField} must be a skill name or { name, level }`,
+          });
+          return;
+        }
+        ["level", "minLevel"].forEach((key) => {
+          if (item[key] === undefined) return;
+          checkField(
+            `${itemField}.${key}`,
+            item[key],
+            { type: "integer", min: 1, max: 5 },
+            errors
+          );
+        });
+      });
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  return value;
+};
+
+const checkFields = (data, fields, errors, prefix = "", options = {}) => {
+  const cleaned = {};
+
+  Object.keys(data).forEach((field) => {
+    if (!fields[field] && !options.allowUnknown) {
+      errors.push({
+        field: `${prefix}${field}`,
+        message: `${prefix}${field} is not allowed`,
+      });
+    }
+  });
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (rule.required && !options.partial) {
+        errors.push({
+          field: `${prefix}${field}`,
+          message: `${prefix}${field} is required`,
+        });
+      }
+      return;
+    }
+    cleaned[field] = checkField(`${prefix}${field}`, value, rule, errors);
+  });
+
+  return cleaned;
+};
+
+// Helper function to check that a date range does not end before it starts
+const checkDateRange = (startDate, endDate, errors) => {
+  if (
+    isValidDate(startDate) &&
+    isValidDate(endDate) &&
+    new Date(endDate) < new Date(startDate)
+  ) {
+    errors.push({
+      field: "endDate",
+      message: "endDate must be on or after startDate",
+    });
+  }
+};
+
+// Validation middleware. For the request body the cleaned, whitelisted
+// object replaces req.body; query strings are only checked.
+const validate =
+  (fields, { source = "body", partial = false, dateRange = false } = {}) =>
+  (req, res, next) => {
+    const data = req[source] || {};
+    const errors = [];
+    const cleaned = checkFields(data, fields, errors, "", {
+      partial,
+      allowUnknown: source === "query",
+    });
+
+    if (dateRange) {
+      checkDateRange(cleaned.startDate, cleaned.endDate, errors);
+    }
+
+    if (errors.length > 0) {
+      return next(validationError(errors));
+    }
+    if (source === "body") {
+      req.body = cleaned;
+    } else {
+      // Express 5 re-parses req.query on every read, so the cleaned values
+      // (real booleans and numbers) have to shadow the getter
+      Object.defineProperty(req, source, {
+        value: { ...req[source], ...cleaned },
+        writable: true,
+        configurable: true,
+      });
+    }
+    next();
+  };
+
+// Route schemas
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const PROJECT_STATUSES = [
+  "planning",
+  "active",
+  "on-hold",
+  "completed",
+  "cancelled",
+];
+const MAX_BULK_OPERATIONS = 200;
+const AUDIT_ENTITIES = [
+  "user",
+  "project",
+  "assignment",
+  "timeOff",
+  "skill",
+  "invite",
+  "webhook",
+  "system",
+];
+const ROLES = ["engineer", "viewer", "manager", "admin"];
+const WEBHOOK_EVENTS = [
+  "assignment.created",
+  "assignment.updated",
+  "assignment.deleted",
+  "project.status_changed",
+  "engineer.overallocated",
+];
+const NOTIFICATION_TYPES = [
+  "assignment.created",
+  "assignment.updated",
+  "assignment.deleted",
+  "assignment.ending",
+  "project.status_changed",
+];
+
+const schemas = {
+  register: {
+    email: { type: "string", required: true, format: "email" },
+    name: { type: "string", required: true, min: 1 },
+    password: { type: "string", required: true, min: 6 },
+    role: { type: "string", enum: ROLES },
+    skills: { type: "skills" },
+    seniority: { type: "string", enum: ["junior", "mid", "senior"] },
+    maxCapacity: { type: "number", min: 1, max: 100 },
+    department: { type: "string" },
+    inviteToken: { type: "string" },
+  },
+  login: {
+    email: { type: "string", required: true },
+    password: { type: "string", required: true },
+  },
+  refresh: {
+    refreshToken: { type: "string", required: true },
+  },
+  invite: {
+    email: { type: "string", format: "email" },
+    role: { type: "string", enum: ROLES },
+    department: { type: "string" },
+  },
+  // Role, maxCapacity and managed departments are not in this list: only
+  // admins change them, via /api/users/:id/access
+  profile: {
+    name: { type: "string", min: 1 },
+    department: { type: "string" },
+    skills: { type: "skills" },
+    currentPassword: { type: "string" },
+    newPassword: { type: "string", min: 6 },
+  },
+  capacityQuery: {
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    granularity: { type: "string", enum: ["day", "week"] },
+  },
+  timeOffQuery: {
+    engineerId: { type: "objectId" },
+    from: { type: "date" },
+    to: { type: "date" },
+  },
+  timeOff: {
+    engineerId: { type: "objectId" },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    type: { type: "string", enum: ["vacation", "sick", "training", "other"] },
+    percentage: { type: "number", min: 1, max: 100 },
+    note: { type: "string" },
+  },
+  project: {
+    name: { type: "string", required: true, min: 1 },
+    description: { type: "string" },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    requiredSkills: { type: "skills" },
+    teamSize: { type: "integer", required: true, min: 1 },
+    department: { type: "string" },
+    coManagerIds: { type: "array", items: { type: "objectId" } },
+  },
+  projectTransition: {
+    status: { type: "string", required: true, enum: PROJECT_STATUSES },
+    reason: { type: "string" },
+  },
+  auditQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    entity: { type: "string", enum: AUDIT_ENTITIES },
+    entityId: { type: "objectId" },
+    actorId: { type: "objectId" },
+    action: { type: "string" },
+    requestId: { type: "string" },
+    from: { type: "date" },
+    to: { type: "date" },
+  },
+  historyQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+  },
+  engineersQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    sort: { type: "string" },
+    skill: { type: "string" },
+    seniority: { type: "string" },
+    department: { type: "string" },
+    minAvailableCapacity: { type: "number", min: 0, max: 100 },
+  },
+  projectsQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    sort: { type: "string" },
+    status: { type: "string" },
+    managerId: { type: "objectId" },
+    from: { type: "date" },
+    to: { type: "date" },
+    skill: { type: "string" },
+    deleted: { type: "string", enum: ["include", "only"] },
+  },
+  calendarToken: {
+    scope: { type: "string", enum: ["personal", "team"] },
+  },
+  calendarFeedQuery: {
+    token: { type: "string", required: true },
+  },
+  webhook: {
+    url: { type: "string", required: true, format: "url" },
+    events: {
+      type: "array",
+      required: true,
+      min: 1,
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+    },
+    description: { type: "string" },
+    active: { type: "boolean" },
+  },
+  notificationsQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    unread: { type: "boolean" },
+    type: { type: "string" },
+  },
+  digestQuery: {
+    days: { type: "integer", min: 1, max: 31 },
+  },
+  liveEventsQuery: {
+    types: { type: "string" },
+    access_token: { type: "string" },
+  },
+  webhookDeliveriesQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    status: { type: "string", enum: ["pending", "delivered", "failed"] },
+    event: { type: "string" },
+  },
+  importQuery: {
+    dryRun: { type: "boolean" },
+  },
+  importUser: {
+    email: { type: "string", required: true, format: "email" },
+    name: { type: "string", required: true, min: 1 },
+    role: { type: "string", enum: ROLES },
+    seniority: { type: "string", enum: ["junior", "mid", "senior"] },
+    department: { type: "string" },
+    maxCapacity: { type: "number", min: 1, max: 100 },
+    skills: { type: "string" },
+    password: { type: "string", min: 6 },
+  },
+  importProject: {
+    name: { type: "string", required: true, min: 1 },
+    description: { type: "string" },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    teamSize: { type: "integer", required: true, min: 1 },
+    requiredSkills: { type: "string" },
+    department: { type: "string" },
+    managerEmail: { type: "string", format: "email" },
+  },
+  importAssignment: {
+    engineerEmail: { type: "string", required: true, format: "email" },
+    projectId: { type: "objectId" },
+    projectName: { type: "string" },
+    allocationPercentage: { type: "number", required: true, min: 1, max: 100 },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    role: { type: "string" },
+  },
+  projectDeleteQuery: {
+    cascade: { type: "boolean" },
+  },
+  purge: {
+    olderThanDays: { type: "integer", min: 0 },
+  },
+  assignmentsQuery: {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    sort: { type: "string" },
+    engineerId: { type: "objectId" },
+    projectId: { type: "objectId" },
+    role: { type: "string" },
+    activeOn: { type: "date" },
+    deleted: { type: "string", enum: ["include", "only"] },
+  },
+  utilizationTrendsQuery: {
+    from: { type: "date", required: true },
+    to: { type: "date", required: true },
+    interval: { type: "string", enum: ["week", "month"] },
+    groupBy: { type: "string", enum: ["department", "seniority", "skill"] },
+  },
+  availabilityQuery: {
+    weeks: { type: "integer", min: 1, max: 52 },
+    skill: { type: "string" },
+    seniority: { type: "string" },
+    department: { type: "string" },
+  },
+  projectHealthQuery: {
+    status: { type: "string" },
+    managerId: { type: "objectId" },
+    flagged: { type: "boolean" },
+  },
+  forecastQuery: {
+    months: { type: "integer", min: 1, max: 24 },
+    skill: { type: "string" },
+    department: { type: "string" },
+  },
+  candidatesQuery: {
+    limit: { type: "integer", min: 1 },
+  },
+  staffingPlan: {
+    allocationPercentage: { type: "number", min: 1, max: 100 },
+    minAllocation: { type: "number", min: 0, max: 100 },
+    role: { type: "string" },
+  },
+  staffingPlanAccept: {
+    assignments: {
+      type: "array",
+      required: true,
+      min: 1,
+      items: {
+        type: "object",
+        fields: {
+          engineerId: { type: "objectId", required: true },
+          allocationPercentage: {
+            type: "number",
+            required: true,
+            min: 1,
+            max: 100,
+          },
+          startDate: { type: "date" },
+          endDate: { type: "date" },
+          role: { type: "string" },
+        },
+      },
+    },
+  },
+  assignment: {
+    engineerId: { type: "objectId", required: true },
+    projectId: { type: "objectId", required: true },
+    allocationPercentage: { type: "number", required: true, min: 1, max: 100 },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    role: { type: "string", required: true, min: 1 },
+  },
+  userAccess: {
+    role: { type: "string", enum: ROLES },
+    managedDepartments: { type: "array", items: { type: "string" } },
+    maxCapacity: { type: "number", min: 1, max: 100 },
+  },
+  skill: {
+    name: { type: "string", required: true, min: 1 },
+    category: { type: "string" },
+    aliases: { type: "array", items: { type: "string" } },
+  },
+  skillUpdate: {
+    category: { type: "string" },
+    aliases: { type: "array", items: { type: "string" } },
+  },
+  skillMerge: {
+    sourceIds: {
+      type: "array",
+      required: true,
+      min: 1,
+      items: { type: "objectId" },
+    },
+    targetId: { type: "objectId", required: true },
+  },
+};
+
+// Exports take the same filters as the lists they mirror, minus paging
+const withoutPaging = ({ page, limit, ...filters }) => filters;
+const EXPORT_FORMAT = { type: "string", enum: ["csv", "xlsx"] };
+
+schemas.engineersExport = {
+  ...withoutPaging(schemas.engineersQuery),
+  format: EXPORT_FORMAT,
+};
+schemas.projectsExport = {
+  ...withoutPaging(schemas.projectsQuery),
+  format: EXPORT_FORMAT,
+};
+schemas.assignmentsExport = {
+  ...withoutPaging(schemas.assignmentsQuery),
+  format: EXPORT_FORMAT,
+};
+
+// A bulk batch reuses the single-assignment rules: creates take the full
+// assignment, updates any subset of it plus the id
+schemas.bulkAssignments = {
+  create: {
+    type: "array",
+    max: MAX_BULK_OPERATIONS,
+    items: { type: "object", fields: schemas.assignment },
+  },
+  update: {
+    type: "array",
+    max: MAX_BULK_OPERATIONS,
+    items: {
+      type: "object",
+      fields: {
+        id: { type: "objectId", required: true },
+        ...Object.fromEntries(
+          Object.entries(schemas.assignment).map(([field, rule]) => [
+            field,
+            { ...rule, required: false },
+          ])
+        ),
+      },
+    },
+  },
+  delete: {
+    type: "array",
+    max: MAX_BULK_OPERATIONS,
+    items: { type: "objectId" },
+  },
+  dryRun: { type: "boolean" },
+};
+
+// Capacity engine
+//
+// Allocations are tracked per calendar day (UTC). An assignment covers every
+// day from its startDate to its endDate inclusive, so two back-to-back
+// assignments never count against the same day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDayIndex = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+const fromDayIndex = (dayIndex) => new Date(dayIndex * DAY_MS);
+
+// Build the allocation timeline for one engineer as a list of contiguous
+// segments with a constant allocation. Each segment lists the assignments
+// that contribute to it.
+const buildAllocationTimeline = (assignments, startDate, endDate) => {
+  const rangeStart = toDayIndex(startDate);
+  const rangeEnd = toDayIndex(endDate);
+  if (Number.isNaN(rangeStart) || Number.isNaN(rangeEnd)) return [];
+  if (rangeEnd < rangeStart) return [];
+
+  const boundaries = new Set([rangeStart, rangeEnd + 1]);
+  const spans = [];
+
+  assignments.forEach((assignment) => {
+    const start = Math.max(rangeStart, toDayIndex(assignment.startDate));
+    const end = Math.min(rangeEnd, toDayIndex(assignment.endDate));
+    if (end < start) return;
+
+    spans.push({ start, end, assignment });
+    boundaries.add(start);
+    boundaries.add(end + 1);
+  });
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  const segments = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1] - 1;
+    const active = spans.filter(
+      (span) => span.start <= start && span.end >= end
+    );
+    const allocation = active.reduce(
+      (sum, span) => sum + span.assignment.allocationPercentage,
+      0
+    );
+
+    const previous = segments[segments.length - 1];
+    if (
+      previous &&
+      previous.allocation === allocation &&
+      previous.assignments.length === active.length &&
+      active.every((span) => previous.assignments.includes(span.assignment))
+    ) {
+      previous.endDay = end;
+      previous.days += end - start + 1;
+      continue;
+    }
+
+    segments.push({
+      startDay: start,
+      endDay: end,
+      days: end - start + 1,
+      allocation,
+      assignments: active.map((span) => span.assignment),
+    });
+  }
+
+  return segments;
+};
+
+// Group timeline segments into day or week buckets. Each bucket reports the
+// peak and the day-weighted average allocation inside it.
+const bucketTimeline = (segments, granularity = "day") => {
+  const bucketSize = granularity === "week" ? 7 : 1;
+  const buckets = new Map();
+
+  segments.forEach((segment) => {
+    for (let day = segment.startDay; day <= segment.endDay; day++) {
+      const key = day - ((day - segments[0].startDay) % bucketSize);
+      const bucket = buckets.get(key) || { days: 0, total: 0, peak: 0 };
+      bucket.days += 1;
+      bucket.total += segment.allocation;
+      bucket.peak = Math.max(bucket.peak, segment.allocation);
+      buckets.set(key, bucket);
+    }
+  });
+
+  return [...buckets.entries()].map(([key, bucket]) => ({
+    startDate: fromDayIndex(key),
+    endDate: fromDayIndex(key + bucket.days - 1),
+    peakAllocation: bucket.peak,
+    averageAllocation: Math.round((bucket.total / bucket.days) * 100) / 100,
+  }));
+};
+
+// Summarise an engineer's allocation over a date range: peak, average and the
+// capacity still free on the busiest day.
+const summarizeCapacity = (maxCapacity, segments) => {
+  const totalDays = segments.reduce((sum, segment) => sum + segment.days, 0);
+  const peakAllocation = segments.reduce(
+    (peak, segment) => Math.max(peak, segment.allocation),
+    0
+  );
+  const averageAllocation = totalDays
+    ? segments.reduce(
+        (sum, segment) => sum + segment.allocation * segment.days,
+        0
+      ) / totalDays
+    : 0;
+
+  return {
+    maxCapacity,
+    peakAllocation,
+    averageAllocation: Math.round(averageAllocation * 100) / 100,
+    availableCapacity: Math.max(0, maxCapacity - peakAllocation),
+    averageAvailableCapacity:
+      Math.round(Math.max(0, maxCapacity - averageAllocation) * 100) / 100,
+  };
+};
+
+// Helper function to build a query for records overlapping a date range.
+// The range is widened to whole days so partial-day timestamps still match.
+const overlapQuery = (engineerId, startDate, endDate) => ({
+  engineerId,
+  startDate: { $lt: fromDayIndex(toDayIndex(endDate) + 1) },
+  endDate: { $gte: fromDayIndex(toDayIndex(startDate)) },
+});
+
+// Helper function to turn time off into timeline entries. Time off books the
+// unavailable share of maxCapacity just like an assignment.
+const toTimeOffBlocks = (engineer, entries) =>
+  entries.map((entry) => ({
+    _id: entry._id,
+    timeOff: true,
+    type: entry.type,
+    allocationPercentage: (engineer.maxCapacity * entry.percentage) / 100,
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+  }));
+
+// Helper function to load an engineer's time off as timeline entries
+const loadTimeOffBlocks = async (engineer, startDate, endDate, session) => {
+  const entries = await TimeOff.find(
+    overlapQuery(engineer._id, startDate, endDate)
+  ).session(session || null);
+
+  return toTimeOffBlocks(engineer, entries);
+};
+
+// Helper function to summarise already-loaded assignments and time off
+const computeCapacity = (
+  engineer,
+  assignments,
+  timeOff,
+  startDate,
+  endDate,
+  { granularity } = {}
+) => {
+  const segments = buildAllocationTimeline(
+    [...assignments, ...timeOff],
+    startDate,
+    endDate
+  );
+
+  return {
+    ...summarizeCapacity(engineer.maxCapacity, segments),
+    timeOff: timeOff.map(({ _id, type, startDate, endDate }) => ({
+      id: _id,
+      type,
+      startDate,
+      endDate,
+    })),
+    timeline: granularity ? bucketTimeline(segments, granularity) : undefined,
+  };
+};
+
+// Helper function to hide the details of another engineer's time off from an
+// engineer, as GET /api/time-off does. They still see when it applies; its
+// effect is already in the capacity figures.
+const redactTimeOff = (user, engineerId, timeOff) =>
+  user.role === "engineer" && idOf(engineerId) !== user.userId
+    ? timeOff.map(({ startDate, endDate }) => ({ startDate, endDate }))
+    : timeOff;
+
+// Helper function to load an engineer's capacity summary and timeline
+const getCapacitySummary = async (
+  engineerId,
+  startDate,
+  endDate,
+  options = {}
+) => {
+  const engineer = await User.findById(engineerId);
+  if (!engineer) return null;
+
+  const assignments = await Assignment.find(
+    overlapQuery(engineerId, startDate, endDate)
+  );
+  const timeOff = await loadTimeOffBlocks(engineer, startDate, endDate);
+
+  return computeCapacity(
+    engineer,
+    assignments,
+    timeOff,
+    startDate,
+    endDate,
+    options
+  );
+};
+
+// Helper function to build a $lookup stage that joins the records of a
+// collection overlapping a date range onto each engineer. Only the $eq on
+// engineerId can use the { engineerId, startDate, endDate } index; the date
+// bounds inside $expr are checked against each of the engineer's records.
+const overlapLookup = (model, startDate, endDate, as) => ({
+  $lookup: {
+    from: model.collection.name,
+    let: { engineerId: "$_id" },
+    pipeline: [
+      {
+        $match: {
+          deletedAt: null, // $lookup bypasses the soft delete middleware
+          $expr: {
+            $and: [
+              { $eq: ["$engineerId", "$$engineerId"] },
+              { $lt: ["$startDate", fromDayIndex(toDayIndex(endDate) + 1)] },
+              { $gte: ["$endDate", fromDayIndex(toDayIndex(startDate))] },
+            ],
+          },
+        },
+      },
+    ],
+    as,
+  },
+});
+
+// Load engineers together with the assignments and time off overlapping a
+// date range in one aggregation, instead of one query per engineer
+const loadEngineersWithAllocations = async (
+  match,
+  startDate,
+  endDate,
+  { sort = { name: 1, _id: 1 }, skip = 0, limit } = {}
+) => {
+  const pipeline = [{ $match: match }, { $sort: sort }, { $skip: skip }];
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+  pipeline.push(
+    { $project: { password: 0 } },
+    overlapLookup(Assignment, startDate, endDate, "overlappingAssignments"),
+    overlapLookup(TimeOff, startDate, endDate, "overlappingTimeOff")
+  );
+
+  const rows = await User.aggregate(pipeline);
+
+  return rows.map(({ overlappingAssignments, overlappingTimeOff, ...row }) => {
+    // Hydrate so schema defaults (e.g. maxCapacity) apply as with find()
+    const engineer = User.hydrate(row).toObject();
+    return {
+      engineer,
+      assignments: overlappingAssignments,
+      timeOff: toTimeOffBlocks(engineer, overlappingTimeOff),
+    };
+  });
+};
+
+// Load a page of engineers with their capacity over a date range
+const loadEngineersWithCapacity = async (
+  match,
+  startDate,
+  endDate,
+  options
+) => {
+  const rows = await loadEngineersWithAllocations(
+    match,
+    startDate,
+    endDate,
+    options
+  );
+
+  return rows.map(({ engineer, assignments, timeOff }) => {
+    const capacity = computeCapacity(
+      engineer,
+      assignments,
+      timeOff,
+      startDate,
+      endDate
+    );
+
+    return {
+      ...engineer,
+      availableCapacity: capacity.availableCapacity,
+      currentAllocation: capacity.peakAllocation,
+      averageAllocation: capacity.averageAllocation,
+      timeOff: capacity.timeOff,
+    };
+  });
+};
+
+// Utilization analytics
+//
+// Ranges are split into calendar weeks (starting Monday) or months. In each
+// bucket an engineer's utilization is the assigned allocation divided by the
+// capacity left after time off, both summed over the bucket's days.
+const UNDER_ALLOCATED_THRESHOLD = 50;
+
+// Helper function to split a date range into week or month buckets
+const splitIntoBuckets = (from, to, interval) => {
+  const lastDay = toDayIndex(to);
+  const buckets = [];
+  let day = toDayIndex(from);
+
+  while (day <= lastDay) {
+    const start = fromDayIndex(day);
+    let nextDay;
+    let label;
+
+    if (interval === "month") {
+      nextDay = toDayIndex(
+        Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)
+      );
+      label = start.toISOString().slice(0, 7);
+    } else {
+      // 1970-01-01 was a Thursday, so Mondays are day indexes where
+      // (day - 4) % 7 === 0
+      nextDay = day + 7 - ((((day - 4) % 7) + 7) % 7);
+      label = start.toISOString().slice(0, 10);
+    }
+
+    const endDay = Math.min(nextDay - 1, lastDay);
+    buckets.push({
+      label,
+      startDay: day,
+      endDay,
+      startDate: start,
+      endDate: fromDayIndex(endDay),
+    });
+    day = nextDay;
+  }
+
+  return buckets;
+};
+
+// Helper function to count the buckets splitIntoBuckets would build, without
+// building them
+const countBuckets = (from, to, interval) => {
+  if (interval === "month") {
+    const start = new Date(from);
+    const end = new Date(to);
+    return (
+      (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      end.getUTCMonth() -
+      start.getUTCMonth() +
+      1
+    );
+  }
+
+  const firstDay = toDayIndex(from);
+  const firstMonday = firstDay - ((((firstDay - 4) % 7) + 7) % 7);
+  return Math.floor((toDayIndex(to) - firstMonday) / 7) + 1;
+};
+
+const MAX_TREND_BUCKETS = 366;
+
+// Helper function to total a timeline between two days: the allocation summed
+// over each day, and the busiest day
+const sumTimeline = (segments, startDay, endDay) =>
+  segments.reduce(
+    (totals, segment) => {
+      const days =
+        Math.min(endDay, segment.endDay) -
+        Math.max(startDay, segment.startDay) +
+        1;
+      if (days <= 0) return totals;
+      return {
+        total: totals.total + segment.allocation * days,
+        peak: Math.max(totals.peak, segment.allocation),
+      };
+    },
+    { total: 0, peak: 0 }
+  );
+
+// Helper function to measure one engineer in every bucket
+const measureUtilization = (row, buckets, from, to) => {
+  const { engineer, assignments, timeOff } = row;
+  const assigned = buildAllocationTimeline(assignments, from, to);
+  const away = buildAllocationTimeline(timeOff, from, to);
+  const booked = buildAllocationTimeline(
+    [...assignments, ...timeOff],
+    from,
+    to
+  );
+
+  return buckets.map((bucket) => {
+    const days = bucket.endDay - bucket.startDay + 1;
+    const work = sumTimeline(assigned, bucket.startDay, bucket.endDay);
+    const absent = sumTimeline(away, bucket.startDay, bucket.endDay);
+    const peak = sumTimeline(booked, bucket.startDay, bucket.endDay).peak;
+    const capacity = engineer.maxCapacity * days - absent.total;
+
+    if (capacity <= 0) {
+      return null; // Away for the whole bucket
+    }
+
+    // The three categories are exclusive; over-allocation on any day wins
+    const utilization = (work.total / capacity) * 100;
+    const overAllocated = peak > engineer.maxCapacity;
+    return {
+      assigned: work.total,
+      capacity,
+      overAllocated,
+      bench: work.total === 0,
+      underAllocated:
+        !overAllocated &&
+        work.total > 0 &&
+        utilization < UNDER_ALLOCATED_THRESHOLD,
+    };
+  });
+};
+
+// Helper function to find the next day an engineer's assigned allocation
+// goes down, how much frees up and which assignments end just before it
+const findNextAllocationDrop = (assignments, from, to) => {
+  const segments = buildAllocationTimeline(assignments, from, to);
+
+  for (let i = 1; i < segments.length; i++) {
+    const before = segments[i - 1];
+    const after = segments[i];
+    if (after.allocation < before.allocation) {
+      return {
+        date: fromDayIndex(after.startDay),
+        allocationBefore: before.allocation,
+        allocationAfter: after.allocation,
+        freedCapacity: before.allocation - after.allocation,
+        endingAssignments: before.assignments.filter(
+          (assignment) => !after.assignments.includes(assignment)
+        ),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Helper function to report how well a project is staffed, given its
+// assignments with the engineers populated
+const assessProjectStaffing = (project, assignments, today) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const todayIndex = toDayIndex(today);
+  const engineers = new Map();
+  const current = new Map();
+
+  assignments.forEach((assignment) => {
+    if (!assignment.engineerId) return;
+    const id = String(assignment.engineerId._id);
+    engineers.set(id, assignment.engineerId);
+    if (
+      toDayIndex(assignment.startDate) <= todayIndex &&
+      toDayIndex(assignment.endDate) >= todayIndex
+    ) {
+      current.set(id, assignment.engineerId);
+    }
+  });
+
+  const currentFte =
+    assignments
+      .filter(
+        (assignment) =>
+          toDayIndex(assignment.startDate) <= todayIndex &&
+          toDayIndex(assignment.endDate) >= todayIndex
+      )
+      .reduce((sum, assignment) => sum + assignment.allocationPercentage, 0) /
+    100;
+
+  const segments = buildAllocationTimeline(
+    assignments,
+    project.startDate,
+    project.endDate
+  );
+  const windowDays = segments.reduce((sum, segment) => sum + segment.days, 0);
+  const averageFte = windowDays
+    ? segments.reduce(
+        (sum, segment) => sum + segment.allocation * segment.days,
+        0
+      ) /
+      windowDays /
+      100
+    : 0;
+
+  const coverageGaps = segments
+    .filter((segment) => segment.allocation === 0)
+    .map((segment) => ({
+      startDate: fromDayIndex(segment.startDay),
+      endDate: fromDayIndex(segment.endDay),
+      days: segment.days,
+    }));
+
+  const missingSkills = (project.requiredSkills || []).filter(
+    (skill) =>
+      ![...engineers.values()].some(
+        (engineer) =>
+          getSkillLevel(engineer, skill) >= getRequiredLevel(project, skill)
+      )
+  );
+
+  const underStaffed =
+    project.status === "active" && current.size < project.teamSize;
+  const flags = [];
+  if (underStaffed) flags.push("under-staffed");
+  if (missingSkills.length > 0) flags.push("missing-skills");
+  if (coverageGaps.length > 0) flags.push("coverage-gaps");
+
+  return {
+    teamSize: project.teamSize,
+    assignedHeadcount: engineers.size,
+    currentHeadcount: current.size,
+    headcountGap: Math.max(0, project.teamSize - current.size),
+    currentFte: round(currentFte),
+    averageFte: round(averageFte),
+    missingSkills,
+    coverageGaps,
+    underStaffed,
+    flags,
+  };
+};
+
+// Helper function to forecast demand against supply per bucket and skill, in
+// FTE (1 FTE = one engineer full time for the whole bucket).
+//
+// Demand is the unstaffed part of each project: teamSize over the days the
+// project runs in the bucket, minus what is already assigned to it, shared
+// evenly between its required skills. Supply is each engineer's free capacity
+// (maxCapacity minus assignments and time off), shared evenly between the
+// skills they have in the same way, so an engineer with several skills is
+// counted once across them just as a project's demand is.
+const forecastCapacity = (rows, projects, assignmentsByProject, buckets) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const from = buckets[0].startDate;
+  const to = buckets[buckets.length - 1].endDate;
+  const skillNames = new Map();
+
+  const addTo = (map, skill, value) => {
+    const key = normalizeSkill(skill);
+    if (!skillNames.has(key)) skillNames.set(key, skill);
+    map.set(key, (map.get(key) || 0) + value);
+  };
+
+  const months = buckets.map((bucket) => ({
+    bucket,
+    days: bucket.endDay - bucket.startDay + 1,
+    demand: new Map(),
+    supply: new Map(),
+    totalDemand: 0,
+    totalSupply: 0,
+  }));
+
+  projects.forEach((project) => {
+    const projectStart = toDayIndex(project.startDate);
+    const projectEnd = toDayIndex(project.endDate);
+    const staffed = buildAllocationTimeline(
+      assignmentsByProject.get(String(project._id)) || [],
+      from,
+      to
+    );
+    const skills = project.requiredSkills || [];
+
+    months.forEach((month) => {
+      const startDay = Math.max(month.bucket.startDay, projectStart);
+      const endDay = Math.min(month.bucket.endDay, projectEnd);
+      if (endDay < startDay) return;
+
+      const needed = (project.teamSize * (endDay - startDay + 1)) / month.days;
+      const assigned =
+        sumTimeline(staffed, startDay, endDay).total / 100 / month.days;
+      const open = Math.max(0, needed - assigned);
+      if (open === 0) return;
+
+      month.totalDemand += open;
+      skills.forEach((skill) =>
+        addTo(month.demand, skill, open / skills.length)
+      );
+    });
+  });
+
+  rows.forEach(({ engineer, assignments, timeOff }) => {
+    const booked = buildAllocationTimeline(
+      [...assignments, ...timeOff],
+      from,
+      to
+    );
+
+    months.forEach((month) => {
+      const free =
+        booked.reduce((sum, segment) => {
+          const days =
+            Math.min(month.bucket.endDay, segment.endDay) -
+            Math.max(month.bucket.startDay, segment.startDay) +
+            1;
+          if (days <= 0) return sum;
+          return (
+            sum + Math.max(0, engineer.maxCapacity - segment.allocation) * days
+          );
+        }, 0) /
+        100 /
+        month.days;
+      if (free === 0) return;
+
+      month.totalSupply += free;
+      const skills = engineer.skills || [];
+      skills.forEach((skill) =>
+        addTo(month.supply, skill, free / skills.length)
+      );
+    });
+  });
+
+  return months.map((month) => {
+    const keys = new Set([...month.demand.keys(), ...month.supply.keys()]);
+    const skills = [...keys]
+      .map((key) => {
+        const demandFte = round(month.demand.get(key) || 0);
+        const supplyFte = round(month.supply.get(key) || 0);
+        const balance = round(supplyFte - demandFte);
+        return {
+          skill: skillNames.get(key),
+          demandFte,
+          supplyFte,
+          balance,
+          status:
+            balance < 0 ? "shortfall" : balance > 0 ? "surplus" : "balanced",
+        };
+      })
+      .sort((a, b) => a.balance - b.balance);
+
+    return {
+      month: month.bucket.label,
+      startDate: month.bucket.startDate,
+      endDate: month.bucket.endDate,
+      demandFte: round(month.totalDemand),
+      supplyFte: round(month.totalSupply),
+      balance: round(month.totalSupply - month.totalDemand),
+      skills,
+    };
+  });
+};
+
+// Helper function to pick the groups an engineer counts towards
+const groupKeys = (engineer, groupBy) => {
+  if (groupBy === "department") return [engineer.department || "Unassigned"];
+  if (groupBy === "seniority") return [engineer.seniority || "Unspecified"];
+  if (groupBy === "skill") {
+    return engineer.skills && engineer.skills.length
+      ? engineer.skills
+      : ["No skills"];
+  }
+  return ["All engineers"];
+};
+
+// Helper function to build chart-ready series: one entry per group, each with
+// one value per bucket label
+const buildUtilizationSeries = (rows, buckets, from, to, groupBy) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const share = (count, total) => (total ? round((count / total) * 100) : 0);
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const measures = measureUtilization(row, buckets, from, to);
+
+    groupKeys(row.engineer, groupBy).forEach((key) => {
+      if (!groups.has(key)) {
+        groups.set(key, {
+          engineers: 0,
+          buckets: buckets.map(() => ({
+            assigned: 0,
+            capacity: 0,
+            counted: 0,
+            overAllocated: 0,
+            underAllocated: 0,
+            bench: 0,
+          })),
+        });
+      }
+
+      const group = groups.get(key);
+      group.engineers += 1;
+      measures.forEach((measure, index) => {
+        if (!measure) return;
+        const totals = group.buckets[index];
+        totals.assigned += measure.assigned;
+        totals.capacity += measure.capacity;
+        totals.counted += 1;
+        totals.overAllocated += measure.overAllocated ? 1 : 0;
+        totals.underAllocated += measure.underAllocated ? 1 : 0;
+        totals.bench += measure.bench ? 1 : 0;
+      });
+    });
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([group, { engineers, buckets: totals }]) => ({
+      group,
+      engineers,
+      utilization: totals.map((t) =>
+        t.capacity ? round((t.assigned / t.capacity) * 100) : null
+      ),
+      headcount: totals.map((t) => t.counted),
+      overAllocated: totals.map((t) => t.overAllocated),
+      underAllocated: totals.map((t) => t.underAllocated),
+      bench: totals.map((t) => t.bench),
+      overAllocatedShare: totals.map((t) => share(t.overAllocated, t.counted)),
+      underAllocatedShare: totals.map((t) =>
+        share(t.underAllocated, t.counted)
+      ),
+      benchShare: totals.map((t) => share(t.bench, t.counted)),
+    }));
+};
+
+// Helper function to calculate available capacity
+const getAvailableCapacity = async (engineerId, startDate, endDate) => {
+  try {
+    const summary = await getCapacitySummary(engineerId, startDate, endDate);
+    return summary ? summary.availableCapacity : 0;
+  } catch (error) {
+    console.error("Error calculating available capacity:", error);
+    return 0;
+  }
+};
+
+// Helper function to find the days on which a new or edited assignment would
+// push an engineer over maxCapacity. The assignment being edited (if any) is
+// left out so it is not counted twice.
+const findCapacityConflicts = async (
+  engineer,
+  { allocationPercentage, startDate, endDate },
+  { excludeAssignmentId, session } = {}
+) => {
+  const query = overlapQuery(engineer._id, startDate, endDate);
+  if (excludeAssignmentId) {
+    query._id = { $ne: excludeAssignmentId };
+  }
+
+  const existing = await Assignment.find(query)
+    .session(session || null)
+    .populate("projectId", "name");
+  const timeOff = await loadTimeOffBlocks(
+    engineer,
+    startDate,
+    endDate,
+    session
+  );
+  const candidate = {
+    allocationPercentage: Number(allocationPercentage),
+    startDate,
+    endDate,
+  };
+
+  const segments = buildAllocationTimeline(
+    [...existing, ...timeOff, candidate],
+    startDate,
+    endDate
+  );
+
+  return segments
+    .filter((segment) => segment.allocation > engineer.maxCapacity)
+    .map((segment) => ({
+      startDate: fromDayIndex(segment.startDay),
+      endDate: fromDayIndex(segment.endDay),
+      totalAllocation: segment.allocation,
+      overBy: segment.allocation - engineer.maxCapacity,
+      assignments: segment.assignments
+        .filter((assignment) => assignment !== candidate)
+        .map((assignment) => ({
+          id: assignment._id,
+          timeOff: assignment.timeOff || undefined,
+          project: assignment.projectId && {
+            id: assignment.projectId._id,
+            name: assignment.projectId.name,
+          },
+          role: assignment.role,
+          allocationPercentage: assignment.allocationPercentage,
+          startDate: assignment.startDate,
+          endDate: assignment.endDate,
+        })),
+    }));
+};
+
+// Helper function to build the 409 response for a failed capacity check
+const capacityConflictResponse = (
+  engineer,
+  allocationPercentage,
+  conflicts
+) => {
+  const peak = Math.max(...conflicts.map((c) => c.totalAllocation));
+  const availableCapacity = Math.max(
+    0,
+    engineer.maxCapacity - (peak - Number(allocationPercentage))
+  );
+
+  return {
+    error: `Engineer only has ${availableCapacity}% capacity available for this period. Requested: ${allocationPercentage}%`,
+    engineerId: engineer._id,
+    maxCapacity: engineer.maxCapacity,
+    requestedAllocation: Number(allocationPercentage),
+    availableCapacity,
+    conflicts,
+  };
+};
+
+const capacityConflictError = (engineer, allocationPercentage, conflicts) => {
+  const { error, ...details } = capacityConflictResponse(
+    engineer,
+    allocationPercentage,
+    conflicts
+  );
+  return httpError(409, error, details);
+};
+
+// Bulk assignment changes
+//
+// A batch of creates, updates and deletes is checked as a whole: every
+// engineer it touches is measured against the state the batch leaves behind,
+// so a swap that only fits once both sides have moved is accepted.
+
+// Helper function to work out and check the result of a bulk batch. Throws on
+// missing records, date errors and policy denials; capacity conflicts are
+// returned so a dry run can report them.
+const planBulkAssignments = async (req, batch, session = null) => {
+  const { create = [], update = [], delete: remove = [] } = batch;
+  const errors = [];
+
+  const total = create.length + update.length + remove.length;
+  if (total === 0) {
+    throw validationError([
+      {
+        field: "create",
+        message: "At least one create, update or delete is required",
+      },
+    ]);
+  }
+  if (total > MAX_BULK_OPERATIONS) {
+    throw validationError([
+      {
+        field: "create",
+        message: `A batch can hold at most ${MAX_BULK_OPERATIONS} operations`,
+      },
+    ]);
+  }
+
+  const ids = [...update.map((item) => String(item.id)), ...remove.map(String)];
+  const repeated = [...new Set(ids.filter((id, i) => ids.indexOf(id) !== i))];
+  if (repeated.length > 0) {
+    throw validationError([
+      {
+        field: "update",
+        message: `Assignments can only appear once in a batch: ${repeated.join(", ")}`,
+      },
+    ]);
+  }
+
+  const existing = await Assignment.find({ _id: { $in: ids } }).session(
+    session
+  );
+  const byId = new Map(existing.map((doc) => [String(doc._id), doc]));
+  const missingIds = ids.filter((id) => !byId.has(id));
+  if (missingIds.length > 0) {
+    throw httpError(404, "Assignment not found", { assignmentIds: missingIds });
+  }
+
+  // The assignments as they will be once the batch is applied
+  const toPlanned = (item, current = {}) => ({
+    _id: current._id,
+    engineerId: item.engineerId || current.engineerId,
+    projectId: item.projectId || current.projectId,
+    allocationPercentage: Number(
+      item.allocationPercentage ?? current.allocationPercentage
+    ),
+    startDate: new Date(item.startDate || current.startDate),
+    endDate: new Date(item.endDate || current.endDate),
+    role: item.role || current.role,
+  });
+  const created = create.map((item) => toPlanned(item));
+  const updated = update.map((item) =>
+    toPlanned(item, byId.get(String(item.id)))
+  );
+  const previous = update.map((item) => byId.get(String(item.id)));
+  const deleted = remove.map((id) => byId.get(String(id)));
+
+  [
+    ["create", created],
+    ["update", updated],
+  ].forEach(([list, items]) =>
+    items.forEach((item, index) => {
+      const itemErrors = [];
+      checkDateRange(item.startDate, item.endDate, itemErrors);
+      itemErrors.forEach((error) =>
+        errors.push({ ...error, field: `${list}[${index}].${error.field}` })
+      );
+    })
+  );
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  // The caller must be allowed to change every project the batch touches,
+  // and closed projects cannot receive new work
+  const touched = [...created, ...updated, ...previous, ...deleted];
+  const projectIds = [...new Set(touched.map((item) => idOf(item.projectId)))];
+  const projects = await Project.find({ _id: { $in: projectIds } }).session(
+    session
+  );
+  const missingProjects = projectIds.filter(
+    (id) => !projects.some((project) => idOf(project._id) === id)
+  );
+  if (missingProjects.length > 0) {
+    throw httpError(404, "Project not found", { projectIds: missingProjects });
+  }
+  for (const project of projects) {
+    const decision = await checkProjectPolicy(req.user, project);
+    if (!decision.allowed) {
+      throw httpError(403, decision.reason, {
+        rule: decision.rule,
+        projectId: project._id,
+      });
+    }
+  }
+  const receiving = new Set(
+    [...created, ...updated].map((item) => idOf(item.projectId))
+  );
+  const closed = projects.filter(
+    (project) =>
+      receiving.has(idOf(project._id)) &&
+      CLOSED_PROJECT_STATUSES.includes(project.status)
+  );
+  if (closed.length > 0) {
+    throw httpError(409, "Cannot assign engineers to a closed project", {
+      projectIds: closed.map((project) => project._id),
+    });
+  }
+
+  const engineerIds = [
+    ...new Set(touched.map((item) => idOf(item.engineerId))),
+  ];
+  const engineers = await User.find({ _id: { $in: engineerIds } }).session(
+    session
+  );
+  const missingEngineers = engineerIds.filter(
+    (id) => !engineers.some((engineer) => idOf(engineer._id) === id)
+  );
+  if (missingEngineers.length > 0) {
+    throw httpError(404, "Engineer not found", {
+      engineerIds: missingEngineers,
+    });
+  }
+
+  // Measure each engineer over the span of everything the batch changes for
+  // them, with the batch applied
+  const allocations = [];
+  const conflicts = [];
+
+  for (const engineer of engineers) {
+    const id = idOf(engineer._id);
+    const incoming = [...created, ...updated].filter(
+      (item) => idOf(item.engineerId) === id
+    );
+    const span = touched.filter((item) => idOf(item.engineerId) === id);
+    const startDate = new Date(
+      Math.min(...span.map((item) => item.startDate.getTime()))
+    );
+    const endDate = new Date(
+      Math.max(...span.map((item) => item.endDate.getTime()))
+    );
+
+    const current = await Assignment.find(
+      overlapQuery(engineer._id, startDate, endDate)
+    ).session(session);
+    const kept = current.filter((item) => !byId.has(String(item._id)));
+    const timeOff = await loadTimeOffBlocks(
+      engineer,
+      startDate,
+      endDate,
+      session
+    );
+    const segments = buildAllocationTimeline(
+      [...kept, ...timeOff, ...incoming],
+      startDate,
+      endDate
+    );
+
+    // Only overbooking the batch causes counts against it
+    const over = segments.filter(
+      (segment) =>
+        segment.allocation > engineer.maxCapacity &&
+        segment.assignments.some((item) => incoming.includes(item))
+    );
+    if (over.length > 0) {
+      conflicts.push({
+        engineerId: engineer._id,
+        name: engineer.name,
+        maxCapacity: engineer.maxCapacity,
+        conflicts: over.map((segment) => ({
+          startDate: fromDayIndex(segment.startDay),
+          endDate: fromDayIndex(segment.endDay),
+          totalAllocation: segment.allocation,
+          overBy: segment.allocation - engineer.maxCapacity,
+          assignments: segment.assignments.map((item) => ({
+            id: item._id,
+            timeOff: item.timeOff || undefined,
+            projectId: item.projectId,
+            allocationPercentage: item.allocationPercentage,
+            startDate: item.startDate,
+            endDate: item.endDate,
+            inBatch: incoming.includes(item),
+          })),
+        })),
+      });
+    }
+
+    allocations.push({
+      engineerId: engineer._id,
+      name: engineer.name,
+      startDate,
+      endDate,
+      ...summarizeCapacity(engineer.maxCapacity, segments),
+      timeline: segments.map((segment) => ({
+        startDate: fromDayIndex(segment.startDay),
+        endDate: fromDayIndex(segment.endDay),
+        allocation: segment.allocation,
+      })),
+    });
+  }
+
+  return { created, updated, deleted, byId, allocations, conflicts };
+};
+
+// Helper function to save a checked bulk plan inside a transaction
+const applyBulkPlan = async (req, plan, session, reason) => {
+  for (const doc of plan.deleted) {
+    await softDeleteRecord(req, doc, "assignment", { reason, session });
+  }
+
+  const updated = [];
+  for (const item of plan.updated) {
+    const { _id, ...changes } = item;
+    const doc = plan.byId.get(String(_id));
+    const before = auditSnapshot(doc);
+    doc.set(changes);
+    await doc.save({ session });
+    await recordAudit(
+      req,
+      { action: "update", entity: "assignment", before, after: doc, reason },
+      session
+    );
+    updated.push(doc);
+  }
+
+  const created = [];
+  for (const { _id, ...item } of plan.created) {
+    const [doc] = await Assignment.create([item], { session });
+    await recordAudit(
+      req,
+      { action: "create", entity: "assignment", after: doc, reason },
+      session
+    );
+    created.push(doc);
+  }
+
+  return {
+    created,
+    updated,
+    deleted: plan.deleted.map((doc) => doc._id),
+  };
+};
+
+// Skill matching
+//
+// Skills are compared on a normalised key so that "Node.js", "node" and
+// "NodeJS" all count as the same skill.
+const SKILL_ALIASES = {
+  node: "nodejs",
+  reactjs: "react",
+  next: "nextjs",
+  vue: "vuejs",
+  js: "javascript",
+  ts: "typescript",
+  postgres: "postgresql",
+  psql: "postgresql",
+  mongo: "mongodb",
+  golang: "go",
+  k8s: "kubernetes",
+  d3: "d3js",
+};
+
+const normalizeSkill = (skill) => {
+  const key = String(skill)
+    .toLowerCase()
+    .replace(/[\s._-]+/g, "");
+  return SKILL_ALIASES[key] || key;
+};
+
+const DEFAULT_SKILL_LEVEL = 3;
+
+// Helper function to look up an engineer's proficiency in a skill. Skills
+// recorded without a level count as DEFAULT_SKILL_LEVEL.
+const getSkillLevel = (engineer, skill) => {
+  const key = normalizeSkill(skill);
+  const hasSkill = (engineer.skills || []).some(
+    (name) => normalizeSkill(name) === key
+  );
+  if (!hasSkill) return 0;
+
+  const entry = (engineer.skillLevels || []).find(
+    (item) => normalizeSkill(item.skill) === key
+  );
+  return entry ? entry.level : DEFAULT_SKILL_LEVEL;
+};
+
+// Helper function to look up the minimum level a project needs in a skill
+const getRequiredLevel = (project, skill) => {
+  const key = normalizeSkill(skill);
+  const entry = (project.requiredSkillLevels || []).find(
+    (item) => normalizeSkill(item.skill) === key
+  );
+  return entry ? entry.minLevel : 1;
+};
+
+// Helper function to list the names that already resolve to a catalog skill,
+// ignoring the skill with id exceptId
+const findTakenSkillNames = async (names, exceptId) => {
+  const known = new Set();
+  (await Skill.find(exceptId ? { _id: { $ne: exceptId } } : {})).forEach(
+    (skill) =>
+      [skill.name, ...skill.aliases].forEach((alias) =>
+        known.add(normalizeSkill(alias))
+      )
+  );
+  return names.filter((name) => known.has(normalizeSkill(name)));
+};
+
+// Helper function to load the skill catalog as a map from every name and
+// alias to the canonical name
+const loadSkillCatalog = async () => {
+  const skills = await Skill.find();
+  const lookup = new Map();
+
+  skills.forEach((skill) => {
+    [skill.name, ...skill.aliases].forEach((alias) =>
+      lookup.set(normalizeSkill(alias), skill.name)
+    );
+  });
+
+  return { empty: skills.length === 0, lookup };
+};
+
+// Helper function to resolve user-supplied skills against the catalog.
+// Accepts plain names or { name, level } objects and returns canonical names,
+// their levels and any names the catalog does not know. While the catalog is
+// empty every skill is accepted as given. Pass a catalog from
+// loadSkillCatalog when resolving many sets of skills.
+const resolveSkills = async (input, levelField = "level", catalog) => {
+  const entries = (input || []).map((item) =>
+    typeof item === "string" ? { name: item } : item
+  );
+  const { empty, lookup } = catalog || (await loadSkillCatalog());
+
+  const names = [];
+  const levels = [];
+  const unknown = [];
+
+  entries.forEach((entry) => {
+    const name = String(entry.name || "").trim();
+    if (!name) return;
+
+    const canonical = empty ? name : lookup.get(normalizeSkill(name));
+    if (!canonical) {
+      unknown.push(name);
+      return;
+    }
+    if (names.includes(canonical)) return;
+
+    names.push(canonical);
+    if (entry[levelField] !== undefined) {
+      levels.push({
+        skill: canonical,
+        [levelField]: Number(entry[levelField]),
+      });
+    }
+  });
+
+  return { names, levels, unknown };
+};
+
+const SENIORITY_SCORES = { junior: 1 / 3, mid: 2 / 3, senior: 1 };
+
+const CANDIDATE_WEIGHTS = { skills: 0.6, seniority: 0.15, capacity: 0.25 };
+
+// Helper function to score how well an engineer fits a project. Every part of
+// the breakdown is on a 0-100 scale; the total is their weighted sum.
+const scoreCandidate = (engineer, project, availableCapacity) => {
+  const requiredSkills = project.requiredSkills || [];
+  const matchedSkills = [];
+  const missingSkills = [];
+  const underLevelSkills = [];
+
+  requiredSkills.forEach((skill) => {
+    const level = getSkillLevel(engineer, skill);
+    const minLevel = getRequiredLevel(project, skill);
+
+    if (level >= minLevel) {
+      matchedSkills.push(skill);
+    } else {
+      missingSkills.push(skill);
+      if (level > 0) {
+        underLevelSkills.push({ skill, level, minLevel });
+      }
+    }
+  });
+
+  const breakdown = {
+    skills: requiredSkills.length
+      ? (matchedSkills.length / requiredSkills.length) * 100
+      : 100,
+    seniority: (SENIORITY_SCORES[engineer.seniority] || 0) * 100,
+    capacity: Math.min(100, availableCapacity),
+  };
+
+  const score = Object.keys(CANDIDATE_WEIGHTS).reduce(
+    (sum, key) => sum + breakdown[key] * CANDIDATE_WEIGHTS[key],
+    0
+  );
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    matchedSkills,
+    missingSkills,
+    underLevelSkills,
+    score: round(score),
+    scoreBreakdown: {
+      skills: round(breakdown.skills),
+      seniority: round(breakdown.seniority),
+      capacity: round(breakdown.capacity),
+    },
+  };
+};
+
+// Helper function to rank every engineer against a project, best first. The
+// engineers and their allocations are loaded in one aggregation.
+const rankCandidates = async (project) => {
+  const rows = await loadEngineersWithAllocations(
+    { role: "engineer" },
+    project.startDate,
+    project.endDate
+  );
+
+  const candidates = rows.map(({ engineer, assignments, timeOff }) => {
+    const capacity = computeCapacity(
+      engineer,
+      assignments,
+      timeOff,
+      project.startDate,
+      project.endDate
+    );
+
+    return {
+      engineer: {
+        id: engineer._id,
+        name: engineer.name,
+        email: engineer.email,
+        skills: engineer.skills,
+        skillLevels: engineer.skillLevels,
+        seniority: engineer.seniority,
+        department: engineer.department,
+        maxCapacity: engineer.maxCapacity,
+      },
+      availableCapacity: capacity.availableCapacity,
+      ...scoreCandidate(engineer, project, capacity.availableCapacity),
+    };
+  });
+
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+// Staffing planner
+//
+// Each strategy orders the candidates differently; the planner then walks the
+// list, always preferring someone who covers a still-missing skill, until
+// teamSize is reached.
+const STAFFING_STRATEGIES = {
+  "best-fit": (a, b) => b.score - a.score,
+  "most-available": (a, b) =>
+    b.availableCapacity - a.availableCapacity || b.score - a.score,
+  "most-senior": (a, b) =>
+    b.scoreBreakdown.seniority - a.scoreBreakdown.seniority ||
+    b.score - a.score,
+};
+
+const buildStaffingPlan = (
+  project,
+  candidates,
+  strategy,
+  { allocationPercentage, minAllocation, role }
+) => {
+  const requiredSkills = project.requiredSkills || [];
+  const uncovered = new Set(requiredSkills.map(normalizeSkill));
+  const pool = candidates
+    .filter((candidate) => candidate.availableCapacity >= minAllocation)
+    .sort(STAFFING_STRATEGIES[strategy]);
+  const members = [];
+
+  while (members.length < project.teamSize && pool.length > 0) {
+    // Prefer the first candidate in strategy order who closes a skill gap
+    const gain = (candidate) =>
+      candidate.matchedSkills.filter((skill) =>
+        uncovered.has(normalizeSkill(skill))
+      ).length;
+    const bestGain = Math.max(...pool.map(gain));
+    const index = pool.findIndex((candidate) => gain(candidate) === bestGain);
+    const [candidate] = pool.splice(index, 1);
+
+    candidate.matchedSkills.forEach((skill) =>
+      uncovered.delete(normalizeSkill(skill))
+    );
+    members.push(candidate);
+  }
+
+  const unfilledSkills = requiredSkills.filter((skill) =>
+    uncovered.has(normalizeSkill(skill))
+  );
+  const warnings = [];
+  if (members.length < project.teamSize) {
+    warnings.push(
+      `Only ${members.length} of ${project.teamSize} seats could be filled`
+    );
+  }
+  if (unfilledSkills.length > 0) {
+    warnings.push(`No proposed engineer covers: ${unfilledSkills.join(", ")}`);
+  }
+
+  return {
+    strategy,
+    assignments: members.map((candidate) => ({
+      engineerId: candidate.engineer.id,
+      engineerName: candidate.engineer.name,
+      projectId: project._id,
+      allocationPercentage: Math.min(
+        allocationPercentage,
+        candidate.availableCapacity
+      ),
+      startDate: project.startDate,
+      endDate: project.endDate,
+      role,
+      matchedSkills: candidate.matchedSkills,
+      score: candidate.score,
+    })),
+    filledSeats: members.length,
+    teamSize: project.teamSize,
+    unfilledSkills,
+    warnings,
+  };
+};
+
+// Audit log
+
+// Fields left out of snapshots: secrets, and bookkeeping that changes on
+// every save
+const AUDIT_OMITTED_FIELDS = [
+  "password",
+  "tokenHash",
+  "secret",
+  "__v",
+  "updatedAt",
+];
+
+// Helper function to turn a document into a plain snapshot for the audit log
+const auditSnapshot = (doc) => {
+  if (!doc) return undefined;
+  const snapshot = doc.toObject ? doc.toObject() : { ...doc };
+  AUDIT_OMITTED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+// Helper function to list the top-level fields that differ between two
+// snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+};
+
+// Record a change in the audit log. req supplies the actor and request id and
+// is null for system jobs; actor overrides it when the request is not signed
+// in (registration). Only updates get a diff; creates and deletes carry the
+// whole snapshot already. Pass the session when the change is part of a
+// transaction so the entry commits or rolls back with it.
+const recordAudit = async (
+  req,
+  { action, entity, entityId, before, after, reason, actor = req?.user },
+  session
+) => {
+  const beforeSnapshot = auditSnapshot(before);
+  const afterSnapshot = auditSnapshot(after);
+
+  const [entry] = await Audit.create(
+    [
+      {
+        actorId: actor?.userId || actor?._id,
+        actorEmail: actor?.email,
+        action,
+        entity,
+        entityId: entityId || (afterSnapshot || beforeSnapshot)?._id,
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes:
+          beforeSnapshot && afterSnapshot
+            ? diffSnapshots(beforeSnapshot, afterSnapshot)
+            : [],
+        reason,
+        requestId: req?.id,
+      },
+    ],
+    { session }
+  );
+
+  // Inside a transaction, webhook deliveries and notifications share its
+  // session and live events wait for it to commit, so a rolled-back change
+  // notifies nobody and a failure here rolls the change back. Outside one the
+  // change is already saved, so a failure is logged rather than turning a
+  // change that happened into an error response.
+  for (const fanOut of [
+    queueWebhookEvents,
+    queueNotifications,
+    queueLiveEvents,
+  ]) {
+    try {
+      await fanOut(entry, session);
+    } catch (error) {
+      if (session) throw error;
+      console.error(
+        `${fanOut.name} failed for audit entry ${entry._id}:`,
+        error
+      );
+    }
+  }
+  return entry;
+};
+
+// Load a page of audit entries, newest first
+const findAuditEntries = async (query, pagination) => {
+  const [entries, total] = await Promise.all([
+    Audit.find(query)
+      .populate("actorId", "name email role")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit),
+    Audit.countDocuments(query),
+  ]);
+  return { entries, total };
+};
+
+// Soft delete helpers
+
+// Helper function to soft-delete a project or assignment and audit it
+const softDeleteRecord = async (
+  req,
+  doc,
+  entity,
+  { reason, session, deletedAt = new Date() } = {}
+) => {
+  const before = auditSnapshot(doc);
+  doc.deletedAt = deletedAt;
+  doc.deletedBy = req?.user?.userId;
+  await doc.save({ session });
+  await recordAudit(
+    req,
+    { action: "delete", entity, before, after: doc, reason },
+    session
+  );
+  return doc;
+};
+
+// Helper function to bring a soft-deleted record back and audit it
+const restoreRecord = async (req, doc, entity, { reason, session } = {}) => {
+  const before = auditSnapshot(doc);
+  doc.deletedAt = null;
+  doc.deletedBy = undefined;
+  await doc.save({ session });
+  await recordAudit(
+    req,
+    { action: "restore", entity, before, after: doc, reason },
+    session
+  );
+  return doc;
+};
+
+// Helper function to restore a deleted assignment once its project is live
+// again, refusing if it would now overbook the engineer
+const restoreAssignment = async (req, assignment, { reason, session } = {}) => {
+  const engineer = await User.findById(assignment.engineerId).session(session);
+  if (!engineer) {
+    throw httpError(404, "Engineer not found", {
+      assignmentId: assignment._id,
+    });
+  }
+
+  const conflicts = await findCapacityConflicts(engineer, assignment, {
+    session,
+  });
+  if (conflicts.length > 0) {
+    const { error, ...details } = capacityConflictResponse(
+      engineer,
+      assignment.allocationPercentage,
+      conflicts
+    );
+    throw httpError(409, error, { assignmentId: assignment._id, ...details });
+  }
+
+  return restoreRecord(req, assignment, "assignment", { reason, session });
+};
+
+// Project lifecycle
+
+// Allowed status changes. Completed and cancelled projects are closed and
+// cannot be reopened.
+const PROJECT_TRANSITIONS = {
+  planning: ["active", "on-hold", "cancelled"],
+  active: ["on-hold", "completed", "cancelled"],
+  "on-hold": ["planning", "active", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+const CLOSED_PROJECT_STATUSES = ["completed", "cancelled"];
+
+const PROJECT_LIFECYCLE_INTERVAL_MINUTES =
+  Number(process.env.PROJECT_LIFECYCLE_INTERVAL_MINUTES) || 60;
+
+// Helper function to end a closed project's open assignments: those already
+// running now end today, those that have not started yet are removed
+const closeOpenAssignments = async (project, { req, reason, session }) => {
+  const today = fromDayIndex(toDayIndex(new Date()));
+  const result = { trimmed: 0, removed: 0 };
+
+  const open = await Assignment.find({
+    projectId: project._id,
+    endDate: { $gt: today },
+  }).session(session);
+
+  for (const assignment of open) {
+    const before = auditSnapshot(assignment);
+
+    if (assignment.startDate > today) {
+      await softDeleteRecord(req, assignment, "assignment", {
+        reason,
+        session,
+      });
+      result.removed += 1;
+    } else {
+      assignment.endDate = today;
+      await assignment.save({ session });
+      await recordAudit(
+        req,
+        {
+          action: "update",
+          entity: "assignment",
+          before,
+          after: assignment,
+          reason,
+        },
+        session
+      );
+      result.trimmed += 1;
+    }
+  }
+
+  return result;
+};
+
+// Move a project to a new status and record who did it and why. Closing a
+// project also closes its open assignments, so pass a session to do both in
+// one transaction. req is null for automatic transitions. The update only
+// applies while the project still has the status it was read with, so two
+// concurrent transitions cannot both succeed.
+const transitionProject = async (
+  project,
+  status,
+  { req = null, reason, session } = {}
+) => {
+  const allowed = PROJECT_TRANSITIONS[project.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(
+      409,
+      `Cannot move a project from ${project.status} to ${status}`,
+      { code: "INVALID_TRANSITION", currentStatus: project.status, allowed }
+    );
+  }
+
+  const before = auditSnapshot(project);
+
+  const closing = CLOSED_PROJECT_STATUSES.includes(status);
+  let assignments = { trimmed: 0, removed: 0 };
+  if (closing) {
+    assignments = await closeOpenAssignments(project, {
+      req,
+      reason,
+      session,
+    });
+  }
+
+  const updated = await Project.findOneAndUpdate(
+    { _id: project._id, status: project.status },
+    {
+      $set: { status, ...(closing ? { overdue: false } : {}) },
+      $push: {
+        statusHistory: {
+          from: project.status,
+          to: status,
+          changedBy: req?.user?.userId,
+          reason,
+        },
+      },
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw httpError(
+      409,
+      `Project is no longer ${project.status}; reload it and try again`,
+      { code: "TRANSITION_CONFLICT" }
+    );
+  }
+
+  await recordAudit(
+    req,
+    {
+      action: "transition",
+      entity: "project",
+      before,
+      after: updated,
+      reason,
+    },
+    session
+  );
+
+  return { project: updated, assignments };
+};
+
+// Activate planned projects whose start date has come, flag open projects
+// that have run past their end date and remind engineers about assignments
+// that are about to end
+const runProjectLifecycleJob = async () => {
+  const today = fromDayIndex(toDayIndex(new Date()));
+
+  const starting = await Project.find({
+    status: "planning",
+    startDate: { $lte: today },
+  });
+  // One project failing is logged and does not hold up the others
+  let activated = 0;
+  for (const project of starting) {
+    try {
+      await transitionProject(project, "active", {
+        reason: "Start date reached",
+      });
+      activated += 1;
+    } catch (error) {
+      console.error(`Could not activate project ${project._id}:`, error);
+    }
+  }
+
+  const overdue = await Project.find({
+    status: { $in: ["active", "on-hold"] },
+    endDate: { $lt: today },
+    overdue: { $ne: true },
+  });
+  let flaggedOverdue = 0;
+  for (const project of overdue) {
+    try {
+      const before = auditSnapshot(project);
+      project.overdue = true;
+      await project.save();
+      await recordAudit(null, {
+        action: "flag-overdue",
+        entity: "project",
+        before,
+        after: project,
+        reason: "End date passed",
+      });
+      flaggedOverdue += 1;
+    } catch (error) {
+      console.error(`Could not flag project ${project._id} overdue:`, error);
+    }
+  }
+
+  const endingReminders = await notifyEndingAssignments();
+
+  return { activated, flaggedOverdue, endingReminders };
+};
+
+// Run the lifecycle job once at startup and then on an interval. The timer is
+// unref'd so it never keeps the process alive on its own.
+const scheduleProjectLifecycleJob = () => {
+  const run = () =>
+    runProjectLifecycleJob()
+      .then(({ activated, flaggedOverdue, endingReminders }) => {
+        if (activated || flaggedOverdue || endingReminders) {
+          console.log(
+            `Project lifecycle: ${activated} activated, ${flaggedOverdue} flagged overdue, ${endingReminders} ending reminders`
+          );
+        }
+      })
+      .catch((error) => console.error("Project lifecycle job error:", error));
+
+  run();
+  setInterval(run, PROJECT_LIFECYCLE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+// List helpers
+//
+// List endpoints take ?page=&limit= (1-based, limit capped at MAX_PAGE_SIZE)
+// and ?sort=field or ?sort=-field for descending order. Comma separated
+// filter values match any of the listed values.
+const parseList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Helper function to turn ?sort= into a Mongo sort, limited to known fields
+const parseSort = (value, allowedFields, defaultSort) => {
+  // _id breaks ties so rows with equal sort keys never repeat or go missing
+  // between pages
+  if (!value) {
+    return { ...defaultSort, _id: Object.values(defaultSort)[0] };
+  }
+
+  const field = String(value).replace(/^-/, "");
+  if (!allowedFields.includes(field)) {
+    throw validationError([
+      {
+        field: "sort",
+        message: `sort must be one of: ${allowedFields.join(", ")}`,
+      },
+    ]);
+  }
+  const direction = String(value).startsWith("-") ? -1 : 1;
+  return { [field]: direction, _id: direction };
+};
+
+// Helper function to build the pagination block, with links to the
+// neighbouring pages that keep every other query parameter
+const paginationMeta = (req, { page, limit }, total) => {
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const linkTo = (target) =>
+    `${req.baseUrl}${req.path}?${new URLSearchParams({
+      ...req.query,
+      page: target,
+      limit,
+    })}`;
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    next: page < totalPages ? linkTo(page + 1) : null,
+    prev: page > 1 ? linkTo(page - 1) : null,
+  };
+};
+
+// Sortable fields of each list
+const ENGINEER_SORT_FIELDS = [
+  "name",
+  "email",
+  "seniority",
+  "department",
+  "maxCapacity",
+];
+const PROJECT_SORT_FIELDS = [
+  "name",
+  "startDate",
+  "endDate",
+  "status",
+  "teamSize",
+  "createdAt",
+];
+const ASSIGNMENT_SORT_FIELDS = [
+  "startDate",
+  "endDate",
+  "allocationPercentage",
+  "role",
+  "createdAt",
+];
+
+// Helper functions to turn list filters into queries. The list routes and
+// the exports share them so both return the same records.
+const buildEngineerFilter = async ({ skill, seniority, department }) => {
+  const query = { role: "engineer" };
+  if (skill) {
+    query.skills = { $all: await resolveSkillFilter(skill) };
+  }
+  if (seniority) {
+    query.seniority = { $in: parseList(seniority) };
+  }
+  if (department) {
+    query.department = { $in: parseList(department) };
+  }
+  return query;
+};
+
+const buildProjectFilter = async ({
+  status,
+  managerId,
+  from,
+  to,
+  skill,
+  deleted,
+}) => {
+  const query = {};
+  if (status) {
+    query.status = { $in: parseList(status) };
+  }
+  if (managerId) {
+    query.managerId = managerId;
+  }
+  // Projects whose date range overlaps from..to
+  if (from) {
+    query.endDate = { $gte: new Date(from) };
+  }
+  if (to) {
+    query.startDate = { $lte: new Date(to) };
+  }
+  if (skill) {
+    query.requiredSkills = { $all: await resolveSkillFilter(skill) };
+  }
+  // Deleted projects are hidden unless asked for
+  if (deleted === "only") {
+    query.deletedAt = { $ne: null };
+  }
+  return { query, withDeleted: Boolean(deleted) };
+};
+
+const buildAssignmentFilter = (
+  { engineerId, projectId, role, activeOn, deleted },
+  user
+) => {
+  const query = {};
+  if (engineerId) {
+    query.engineerId = engineerId;
+  }
+  if (projectId) {
+    query.projectId = projectId;
+  }
+  if (role) {
+    query.role = { $in: parseList(role) };
+  }
+  // Assignments running on the given day
+  if (activeOn) {
+    const day = toDayIndex(activeOn);
+    query.startDate = { $lt: fromDayIndex(day + 1) };
+    query.endDate = { $gte: fromDayIndex(day) };
+  }
+  // If engineer, only show their assignments
+  if (user.role === "engineer") {
+    query.engineerId = user.userId;
+  }
+  // Deleted assignments (and the deleted projects they belong to) are hidden
+  // unless asked for
+  if (deleted === "only") {
+    query.deletedAt = { $ne: null };
+  }
+  return { query, withDeleted: Boolean(deleted) };
+};
+
+// Helper function to turn a ?skill= filter into catalog skill names. Names
+// the catalog does not know are matched as given.
+const resolveSkillFilter = async (value) => {
+  const { names, unknown } = await resolveSkills(parseList(value));
+  return [...names, ...unknown];
+};
+
+// Import and export
+//
+// Imports take CSV with a header row, sent as the request body with
+// Content-Type: text/csv. Every row is checked before anything is saved, and
+// the rows are saved in one transaction. Exports are CSV or XLSX and use the
+// same columns, so an export can be edited and imported again.
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Helper function to parse CSV text (RFC 4180: quoted fields, "" escapes, LF
+// or CRLF line endings) into rows of cells. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw validationError([
+      { field: "body", message: "CSV has an unterminated quoted field" },
+    ]);
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// Helper function to undo the quote toCsvCell puts before text a spreadsheet
+// would run as a formula, so exported files import unchanged
+const unguardFormula = (value) =>
+  /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+
+// Helper function to read an import file into { row, data } objects, row
+// being the line in the file (the header is row 1). Columns must be known to
+// the importer; columns that only exports carry (ids, computed values) are
+// ignored. Empty cells count as missing.
+const readImportRows = (text, fields, ignoredColumns = []) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw validationError([{ field: "body", message: "CSV is empty" }]);
+  }
+
+  const columns = header.map((name) => name.trim());
+  const errors = [
+    ...columns
+      .filter((name) => !fields[name] && !ignoredColumns.includes(name))
+      .map((name) => ({ field: name, message: `Unknown column: ${name}` })),
+    ...Object.keys(fields)
+      .filter((name) => fields[name].required && !columns.includes(name))
+      .map((name) => ({ field: name, message: `Missing column: ${name}` })),
+  ];
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({
+      field: "body",
+      message: `An import can hold at most ${MAX_IMPORT_ROWS} rows`,
+    });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  return rows.map((cells, index) => {
+    const data = {};
+    columns.forEach((name, column) => {
+      const value = unguardFormula((cells[column] || "").trim());
+      if (fields[name] && value !== "") data[name] = value;
+    });
+    return { row: index + 2, data };
+  });
+};
+
+// Helper function to check one import row against its schema. Returns the
+// cleaned row, or null after adding its errors (tagged with the row)
+const checkImportRow = ({ row, data }, fields, errors) => {
+  const rowErrors = [];
+  const cleaned = checkFields(data, fields, rowErrors);
+  rowErrors.forEach((error) => errors.push({ row, ...error }));
+  return rowErrors.length > 0 ? null : cleaned;
+};
+
+// Skill cells list skills separated by ";", each with an optional ":level",
+// e.g. "React:4; Node.js"
+const parseSkillCell = (value, levelField) =>
+  String(value || "")
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, level] = entry.split(":").map((part) => part.trim());
+      return level === undefined ? name : { name, [levelField]: level };
+    });
+
+const formatSkillCell = (skills, levelOf) =>
+  (skills || []).map((skill) => `${skill}:${levelOf(skill)}`).join("; ");
+
+// Helper function to read and resolve a skill cell against a catalog loaded
+// once per import, adding row errors for bad levels and skills the catalog
+// does not know
+const resolveSkillCell = async (
+  row,
+  field,
+  value,
+  levelField,
+  catalog,
+  errors
+) => {
+  const skillErrors = [];
+  const entries = checkField(
+    field,
+    parseSkillCell(value, levelField),
+    { type: "skills" },
+    skillErrors
+  );
+  skillErrors.forEach((error) => errors.push({ row, ...error }));
+  if (skillErrors.length > 0) return null;
+
+  const resolved = await resolveSkills(entries, levelField, catalog);
+  if (resolved.unknown.length > 0) {
+    errors.push({
+      row,
+      field,
+      message: `Unknown skills: ${resolved.unknown.join(", ")}`,
+    });
+    return null;
+  }
+  return resolved;
+};
+
+// Helper function to look users up by email, ignoring case
+const findUsersByEmail = async (emails, filter = {}) => {
+  const users = await User.find({ ...filter, email: { $in: emails } })
+    .collation({ locale: "en", strength: 2 })
+    .select("-password");
+  return new Map(users.map((user) => [user.email.toLowerCase(), user]));
+};
+
+// Each importer checks its rows (prepare), optionally does slow work outside
+// the transaction (finalize) and saves the records inside it (commit)
+const IMPORTERS = {
+  users: {
+    fields: schemas.importUser,
+    ignoredColumns: [
+      "id",
+      "currentAllocation",
+      "averageAllocation",
+      "availableCapacity",
+    ],
+    prepare: async (req, rows) => {
+      const errors = [];
+      const records = [];
+      const checked = rows.map(({ row, data }) => ({
+        row,
+        data: checkImportRow({ row, data }, schemas.importUser, errors),
+      }));
+
+      const existing = await findUsersByEmail(
+        checked.filter(({ data }) => data).map(({ data }) => data.email)
+      );
+      const catalog = await loadSkillCatalog();
+      const seen = new Map();
+
+      for (const { row, data } of checked) {
+        if (!data) continue;
+
+        const key = data.email.toLowerCase();
+        if (seen.has(key)) {
+          errors.push({
+            row,
+            field: "email",
+            message: `Duplicate email ${data.email} (also on row ${seen.get(key)})`,
+          });
+          continue;
+        }
+        seen.set(key, row);
+
+        if (existing.has(key)) {
+          errors.push({
+            row,
+            field: "email",
+            message: `A user with email ${data.email} already exists`,
+          });
+          continue;
+        }
+
+        const role = data.role || "engineer";
+        if (role === "admin" && req.user.role !== "admin") {
+          errors.push({
+            row,
+            field: "role",
+            message: "Only admins can import admins",
+          });
+          continue;
+        }
+
+        // Like registration, only engineers carry skills and seniority
+        const engineer = role === "engineer";
+        const skills = engineer
+          ? await resolveSkillCell(
+              row,
+              "skills",
+              data.skills,
+              "level",
+              catalog,
+              errors
+            )
+          : { names: undefined, levels: undefined };
+        if (!skills) continue;
+
+        records.push({
+          row,
+          email: data.email,
+          name: data.name,
+          role,
+          seniority: engineer ? data.seniority : undefined,
+          department: data.department,
+          maxCapacity: data.maxCapacity || 100,
+          skills: skills.names,
+          skillLevels: skills.levels,
+          password: data.password,
+        });
+      }
+
+      return { records, errors };
+    },
+    // Rows without a password get a random one, returned once in the response
+    finalize: async (records) => {
+      const ready = [];
+      for (const { password, ...record } of records) {
+        const temporaryPassword = password
+          ? undefined
+          : crypto.randomBytes(12).toString("base64url");
+        ready.push({
+          ...record,
+          temporaryPassword,
+          password: await bcrypt.hash(password || temporaryPassword, 10),
+        });
+      }
+      return ready;
+    },
+    commit: async (req, records, session) => {
+      const ids = [];
+      const temporaryPasswords = [];
+      for (const { row, temporaryPassword, ...data } of records) {
+        const [user] = await User.create([data], { session });
+        await recordAudit(
+          req,
+          {
+            action: "create",
+            entity: "user",
+            after: user,
+            reason: "CSV import",
+          },
+          session
+        );
+        ids.push(user._id);
+        if (temporaryPassword) {
+          temporaryPasswords.push({ email: user.email, temporaryPassword });
+        }
+      }
+      return { created: ids.length, ids, temporaryPasswords };
+    },
+  },
+
+  projects: {
+    fields: schemas.importProject,
+    ignoredColumns: ["id", "status", "overdue", "deletedAt"],
+    prepare: async (req, rows) => {
+      const errors = [];
+      const records = [];
+      const checked = rows.map(({ row, data }) => ({
+        row,
+        data: checkImportRow({ row, data }, schemas.importProject, errors),
+      }));
+
+      const managers = await findUsersByEmail(
+        checked
+          .filter(({ data }) => data && data.managerEmail)
+          .map(({ data }) => data.managerEmail),
+        { role: { $in: ["manager", "admin"] } }
+      );
+      const catalog = await loadSkillCatalog();
+
+      for (const { row, data } of checked) {
+        if (!data) continue;
+
+        const rangeErrors = [];
+        checkDateRange(data.startDate, data.endDate, rangeErrors);
+        if (rangeErrors.length > 0) {
+          rangeErrors.forEach((error) => errors.push({ row, ...error }));
+          continue;
+        }
+
+        // Projects belong to the importer unless an admin names a manager
+        let managerId = req.user.userId;
+        if (data.managerEmail) {
+          const manager = managers.get(data.managerEmail.toLowerCase());
+          if (!manager) {
+            errors.push({
+              row,
+              field: "managerEmail",
+              message: `No manager with email ${data.managerEmail}`,
+            });
+            continue;
+          }
+          if (
+            idOf(manager._id) !== req.user.userId &&
+            req.user.role !== "admin"
+          ) {
+            errors.push({
+              row,
+              field: "managerEmail",
+              message: "Only admins can import projects for another manager",
+            });
+            continue;
+          }
+          managerId = manager._id;
+        }
+
+        const skills = await resolveSkillCell(
+          row,
+          "requiredSkills",
+          data.requiredSkills,
+          "minLevel",
+          catalog,
+          errors
+        );
+        if (!skills) continue;
+
+        records.push({
+          row,
+          name: data.name,
+          description: data.description,
+          startDate: new Date(data.startDate),
+          endDate: new Date(data.endDate),
+          teamSize: data.teamSize,
+          requiredSkills: skills.names,
+          requiredSkillLevels: skills.levels,
+          department: data.department,
+          managerId,
+        });
+      }
+
+      return { records, errors };
+    },
+    commit: async (req, records, session) => {
+      const ids = [];
+      for (const { row, ...data } of records) {
+        const [project] = await Project.create([data], { session });
+        await recordAudit(
+          req,
+          {
+            action: "create",
+            entity: "project",
+            after: project,
+            reason: "CSV import",
+          },
+          session
+        );
+        ids.push(project._id);
+      }
+      return { created: ids.length, ids };
+    },
+  },
+
+  // Assignment rows go through the bulk planner, so the whole file is checked
+  // against each engineer's capacity at once
+  assignments: {
+    fields: schemas.importAssignment,
+    ignoredColumns: ["id", "engineerName"],
+    prepare: async (req, rows) => {
+      const errors = [];
+      const checked = rows.map(({ row, data }) => ({
+        row,
+        data: checkImportRow({ row, data }, schemas.importAssignment, errors),
+      }));
+      const valid = checked.filter(({ data }) => data);
+
+      // Only engineers can be assigned; other accounts read as unknown
+      const engineers = await findUsersByEmail(
+        valid.map(({ data }) => data.engineerEmail),
+        { role: "engineer" }
+      );
+      const projects = await Project.find({
+        $or: [
+          {
+            _id: {
+              $in: valid.map(({ data }) => data.projectId).filter(Boolean),
+            },
+          },
+          {
+            name: {
+              $in: valid.map(({ data }) => data.projectName).filter(Boolean),
+            },
+          },
+        ],
+      });
+
+      const items = [];
+      const decisions = new Map();
+
+      for (const { row, data } of valid) {
+        const rangeErrors = [];
+        checkDateRange(data.startDate, data.endDate, rangeErrors);
+        rangeErrors.forEach((error) => errors.push({ row, ...error }));
+
+        const engineer = engineers.get(data.engineerEmail.toLowerCase());
+        if (!engineer) {
+          errors.push({
+            row,
+            field: "engineerEmail",
+            message: `No engineer with email ${data.engineerEmail}`,
+          });
+        }
+
+        const matches = data.projectId
+          ? projects.filter((project) => idOf(project._id) === data.projectId)
+          : projects.filter((project) => project.name === data.projectName);
+        if (!data.projectId && !data.projectName) {
+          errors.push({
+            row,
+            field: "projectId",
+            message: "projectId or projectName is required",
+          });
+        } else if (matches.length !== 1) {
+          errors.push({
+            row,
+            field: data.projectId ? "projectId" : "projectName",
+            message:
+              matches.length === 0
+                ? `Project not found: ${data.projectId || data.projectName}`
+                : `More than one project is named ${data.projectName}; use projectId`,
+          });
+        }
+
+        const project = matches.length === 1 ? matches[0] : null;
+        if (project) {
+          if (!decisions.has(idOf(project._id))) {
+            decisions.set(
+              idOf(project._id),
+              await checkProjectPolicy(req.user, project)
+            );
+          }
+          const decision = decisions.get(idOf(project._id));
+          if (!decision.allowed) {
+            errors.push({ row, field: "projectId", message: decision.reason });
+          } else if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+            errors.push({
+              row,
+              field: "projectId",
+              message: `Cannot assign engineers to a ${project.status} project`,
+            });
+          }
+        }
+
+        if (engineer && project && rangeErrors.length === 0) {
+          items.push({
+            row,
+            engineerId: engineer._id,
+            projectId: project._id,
+            allocationPercentage: data.allocationPercentage,
+            startDate: data.startDate,
+            endDate: data.endDate,
+            role: data.role || "Developer",
+          });
+        }
+      }
+
+      if (errors.length > 0 || items.length === 0) {
+        return { records: items, errors };
+      }
+
+      // Flag every row that takes part in an overbooking
+      const plan = await planBulkAssignments(req, {
+        create: items.map(({ row, ...item }) => item),
+      });
+      plan.conflicts.forEach((conflict) =>
+        conflict.conflicts.forEach((period) =>
+          items
+            .filter(
+              (item) =>
+                idOf(item.engineerId) === idOf(conflict.engineerId) &&
+                toDayIndex(item.startDate) <= toDayIndex(period.endDate) &&
+                toDayIndex(item.endDate) >= toDayIndex(period.startDate)
+            )
+            .forEach((item) =>
+              errors.push({
+                row: item.row,
+                field: "allocationPercentage",
+                message: `${conflict.name} would be booked at ${period.totalAllocation}% (max ${conflict.maxCapacity}%) from ${period.startDate.toISOString().slice(0, 10)} to ${period.endDate.toISOString().slice(0, 10)}`,
+              })
+            )
+        )
+      );
+
+      return { records: items, errors, conflicts: plan.conflicts };
+    },
+    commit: async (req, records, session) => {
+      const plan = await planBulkAssignments(
+        req,
+        { create: records.map(({ row, ...item }) => item) },
+        session
+      );
+      if (plan.conflicts.length > 0) {
+        throw httpError(
+          409,
+          `The import would overbook ${plan.conflicts.length} engineer(s)`,
+          { conflicts: plan.conflicts }
+        );
+      }
+
+      const { created } = await applyBulkPlan(req, plan, session, "CSV import");
+      return { created: created.length, ids: created.map((doc) => doc._id) };
+    },
+  },
+};
+
+// Helper function to format one export cell for CSV. Text that a spreadsheet
+// would run as a formula is prefixed with a quote, which the importer strips.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text =
+    value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function to send rows as a CSV or XLSX download
+const sendTable = async (res, { name, format = "csv", columns, rows }) => {
+  res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(({ header }) => ({
+      header,
+      key: header,
+      width: Math.max(12, header.length + 2),
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(columns.map(({ value }) => value(row))));
+    return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+
+  const lines = [
+    columns.map(({ header }) => header),
+    ...rows.map((row) => columns.map(({ value }) => toCsvCell(value(row)))),
+  ];
+  res.send(`${lines.map((cells) => cells.join(",")).join("\r\n")}\r\n`);
+};
+
+const ENGINEER_EXPORT_COLUMNS = [
+  { header: "id", value: (engineer) => String(engineer._id) },
+  { header: "email", value: (engineer) => engineer.email },
+  { header: "name", value: (engineer) => engineer.name },
+  { header: "role", value: (engineer) => engineer.role },
+  { header: "seniority", value: (engineer) => engineer.seniority },
+  { header: "department", value: (engineer) => engineer.department },
+  {
+    header: "skills",
+    value: (engineer) =>
+      formatSkillCell(engineer.skills, (skill) =>
+        getSkillLevel(engineer, skill)
+      ),
+  },
+  { header: "maxCapacity", value: (engineer) => engineer.maxCapacity },
+  {
+    header: "currentAllocation",
+    value: (engineer) => engineer.currentAllocation,
+  },
+  {
+    header: "averageAllocation",
+    value: (engineer) => engineer.averageAllocation,
+  },
+  {
+    header: "availableCapacity",
+    value: (engineer) => engineer.availableCapacity,
+  },
+];
+
+const PROJECT_EXPORT_COLUMNS = [
+  { header: "id", value: (project) => String(project._id) },
+  { header: "name", value: (project) => project.name },
+  { header: "description", value: (project) => project.description },
+  { header: "status", value: (project) => project.status },
+  { header: "startDate", value: (project) => project.startDate },
+  { header: "endDate", value: (project) => project.endDate },
+  { header: "teamSize", value: (project) => project.teamSize },
+  {
+    header: "requiredSkills",
+    value: (project) =>
+      formatSkillCell(project.requiredSkills, (skill) =>
+        getRequiredLevel(project, skill)
+      ),
+  },
+  { header: "department", value: (project) => project.department },
+  { header: "managerEmail", value: (project) => project.managerId?.email },
+  { header: "overdue", value: (project) => project.overdue },
+  { header: "deletedAt", value: (project) => project.deletedAt },
+];
+
+const ASSIGNMENT_EXPORT_COLUMNS = [
+  { header: "id", value: (assignment) => String(assignment._id) },
+  {
+    header: "engineerEmail",
+    value: (assignment) => assignment.engineerId?.email,
+  },
+  {
+    header: "engineerName",
+    value: (assignment) => assignment.engineerId?.name,
+  },
+  { header: "projectId", value: (assignment) => idOf(assignment.projectId) },
+  { header: "projectName", value: (assignment) => assignment.projectId?.name },
+  { header: "role", value: (assignment) => assignment.role },
+  {
+    header: "allocationPercentage",
+    value: (assignment) => assignment.allocationPercentage,
+  },
+  { header: "startDate", value: (assignment) => assignment.startDate },
+  { header: "endDate", value: (assignment) => assignment.endDate },
+];
+
+// Calendar feeds
+//
+// Feeds are built on every request, so calendar apps pick up assignment
+// changes on their next refresh. Each assignment is an all-day event; past
+// assignments drop out of the feed after CALENDAR_HISTORY_DAYS.
+
+const CALENDAR_HISTORY_DAYS = 180;
+
+// Helper function to escape text for an iCalendar property value
+const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Helper function to fold a content line to 75 octets, as RFC 5545 requires
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuations start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const toIcsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+const toIcsTimestamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Helper function to turn assignments (with engineer and project populated)
+// into an iCalendar document. team feeds put the engineer in each title.
+const buildCalendar = (name, assignments, { team = false } = {}) => {
+  const now = toIcsTimestamp(new Date());
+
+  const events = assignments.flatMap((assignment) => {
+    const projectName = assignment.projectId?.name || "Project";
+    const engineerName = assignment.engineerId?.name || "Engineer";
+    const title = `${projectName} (${assignment.allocationPercentage}%)`;
+
+    return [
+      "BEGIN:VEVENT",
+      `UID:${assignment._id}@engineering-resource-management`,
+      `DTSTAMP:${now}`,
+      `LAST-MODIFIED:${toIcsTimestamp(assignment.updatedAt || new Date())}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(fromDayIndex(toDayIndex(assignment.startDate)))}`,
+      // DTEND is exclusive, so the event runs through the assignment's last day
+      `DTEND;VALUE=DATE:${toIcsDate(fromDayIndex(toDayIndex(assignment.endDate) + 1))}`,
+      `SUMMARY:${escapeIcsText(team ? `${engineerName}: ${title}` : title)}`,
+      `DESCRIPTION:${escapeIcsText(
+        [
+          `Project: ${projectName}`,
+          team ? `Engineer: ${engineerName}` : null,
+          `Role: ${assignment.role}`,
+          `Allocation: ${assignment.allocationPercentage}%`,
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ];
+  });
+
+  return `${[
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Engineering Resource Management//Assignments//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...events,
+    "END:VCALENDAR",
+  ]
+    .map(foldIcsLine)
+    .join("\r\n")}\r\n`;
+};
+
+// Helper function to check a feed token against the user and scope in the
+// URL. Returns the token's user, or null if the token is invalid or revoked.
+const verifyCalendarToken = async (userId, token, scope) => {
+  if (!OBJECT_ID_PATTERN.test(userId)) return null;
+
+  const calendarToken = await CalendarToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), userId, scope, revokedAt: null },
+    { lastUsedAt: new Date() }
+  );
+  if (!calendarToken) return null;
+
+  return User.findById(userId).select("-password");
+};
+
+// Helper function to load the assignments a feed shows
+const loadCalendarAssignments = (query) =>
+  Assignment.find({
+    ...query,
+    endDate: { $gte: new Date(Date.now() - CALENDAR_HISTORY_DAYS * DAY_MS) },
+  })
+    .populate("engineerId", "name email")
+    .populate("projectId", "name")
+    .sort({ startDate: 1 });
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set("Cache-Control", "no-cache");
+  res.type("text/calendar; charset=utf-8");
+  res.attachment(filename);
+  res.send(calendar);
+};
+
+// Webhooks
+//
+// Changes queue one delivery per subscribed webhook alongside their audit
+// entry. The dispatcher posts due deliveries as JSON signed with the
+// webhook's secret:
+//
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+//
+// where timestamp is the X-Webhook-Timestamp header (Unix seconds). Failed
+// attempts (network errors or non-2xx responses) are retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_BATCH_SIZE = 50;
+const WEBHOOK_POLL_INTERVAL_SECONDS =
+  Number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 10;
+
+// Receivers on loopback, private and link-local addresses are refused unless
+// WEBHOOK_ALLOW_PRIVATE_URLS=true, so a webhook cannot be pointed at services
+// inside the network the API runs in
+const WEBHOOK_ALLOW_PRIVATE_URLS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["64:ff9b:1::", 48, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+].forEach(([network, prefix, type]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, type)
+);
+
+// Days ahead checked for engineer.overallocated
+const OVERALLOCATION_WINDOW_DAYS = 90;
+
+const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const findPrivateAddress = (addresses) =>
+  addresses.find(({ address, family }) =>
+    PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+
+// Helper function to check that a webhook URL points at a public address.
+// Every address the host resolves to is checked. Returns the reason the URL
+// is refused, or null.
+const checkWebhookUrl = async (url) => {
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    return `Could not resolve ${host}`;
+  }
+
+  const blocked = findPrivateAddress(addresses);
+  return blocked
+    ? `${host} resolves to a private address (${blocked.address}); set WEBHOOK_ALLOW_PRIVATE_URLS=true to allow it`
+    : null;
+};
+
+// Deliveries connect to the address checked while resolving the host, so a
+// host cannot pass checkWebhookUrl and then resolve to a private address for
+// the request itself (DNS rebinding)
+const webhookAgent = new undici.Agent({
+  connect: {
+    lookup: (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked =
+          !WEBHOOK_ALLOW_PRIVATE_URLS && findPrivateAddress(addresses);
+        if (blocked) {
+          return callback(
+            new Error(
+              `${hostname} resolves to a private address (${blocked.address})`
+            )
+          );
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      });
+    },
+  },
+});
+
+// Helper function to work out the delay before the next attempt: 30s, 1m,
+// 2m, 4m, ...
+const webhookRetryDelay = (attempts) =>
+  WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// Helper function to queue an event for every active webhook subscribed to it
+const queueWebhookEvent = async (event, data, session) => {
+  const webhooks = await Webhook.find({ active: true, events: event })
+    .select("_id")
+    .session(session || null);
+  if (webhooks.length === 0) return [];
+
+  const occurredAt = new Date();
+  return WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhookId: webhook._id,
+      event,
+      payload: { event, occurredAt, data },
+      nextAttemptAt: occurredAt,
+    })),
+    { session }
+  );
+};
+
+// Helper function to merge timeline segments into runs of consecutive days
+const mergeSegmentDays = (segments) =>
+  segments.reduce((runs, segment) => {
+    const last = runs[runs.length - 1];
+    if (last && last.endDay + 1 >= segment.startDay) {
+      last.endDay = Math.max(last.endDay, segment.endDay);
+    } else {
+      runs.push({ startDay: segment.startDay, endDay: segment.endDay });
+    }
+    return runs;
+  }, []);
+
+// Helper function to send engineer.overallocated when a change books the
+// engineer past their maxCapacity somewhere in the coming window that was not
+// overbooked before it. changedId is the assignment or time off that changed,
+// before is the assignment as it was and previousMaxCapacity the capacity
+// before an update, so editing an engineer who is already overbooked does not
+// announce the same periods again.
+const checkOverallocation = async (
+  engineerId,
+  session,
+  { changedId, before, previousMaxCapacity } = {}
+) => {
+  const subscribed = await Webhook.exists({
+    active: true,
+    events: "engineer.overallocated",
+  }).session(session || null);
+  if (!subscribed) return;
+
+  const engineer = await User.findById(engineerId).session(session || null);
+  if (!engineer || engineer.role !== "engineer") return;
+
+  const startDate = fromDayIndex(toDayIndex(new Date()));
+  const endDate = fromDayIndex(
+    toDayIndex(startDate) + OVERALLOCATION_WINDOW_DAYS - 1
+  );
+  const assignments = await Assignment.find(
+    overlapQuery(engineer._id, startDate, endDate)
+  ).session(session || null);
+  const timeOff = await TimeOff.find(
+    overlapQuery(engineer._id, startDate, endDate)
+  ).session(session || null);
+
+  const overbooked = (records, maxCapacity) =>
+    buildAllocationTimeline(records, startDate, endDate).filter(
+      (segment) => segment.allocation > maxCapacity
+    );
+
+  const beforeCapacity = previousMaxCapacity ?? engineer.maxCapacity;
+  const unchanged = (record) =>
+    !changedId || idOf(record._id) !== idOf(changedId);
+  const beforeRecords = [
+    ...assignments.filter(unchanged),
+    ...toTimeOffBlocks(
+      { maxCapacity: beforeCapacity },
+      timeOff.filter(unchanged)
+    ),
+  ];
+  if (
+    before &&
+    !before.deletedAt &&
+    idOf(before.engineerId) === idOf(engineer._id)
+  ) {
+    beforeRecords.push(before);
+  }
+  const alreadyOverbooked = mergeSegmentDays(
+    overbooked(beforeRecords, beforeCapacity)
+  );
+
+  const periods = overbooked(
+    [...assignments, ...toTimeOffBlocks(engineer, timeOff)],
+    engineer.maxCapacity
+  ).filter(
+    (segment) =>
+      !alreadyOverbooked.some(
+        (run) =>
+          run.startDay <= segment.startDay && run.endDay >= segment.endDay
+      )
+  );
+  if (periods.length === 0) return;
+
+  await queueWebhookEvent(
+    "engineer.overallocated",
+    {
+      engineer: {
+        id: engineer._id,
+        name: engineer.name,
+        email: engineer.email,
+        maxCapacity: engineer.maxCapacity,
+      },
+      periods: periods.map((segment) => ({
+        startDate: fromDayIndex(segment.startDay),
+        endDate: fromDayIndex(segment.endDay),
+        allocation: segment.allocation,
+        assignmentIds: segment.assignments
+          .filter((assignment) => !assignment.timeOff)
+          .map((assignment) => assignment._id),
+        timeOffIds: segment.assignments
+          .filter((assignment) => assignment.timeOff)
+          .map((assignment) => assignment._id),
+      })),
+    },
+    session
+  );
+};
+
+// Helper function to turn an audit entry into the webhook events it triggers
+const queueWebhookEvents = async (entry, session) => {
+  const actor = entry.actorId
+    ? { id: entry.actorId, email: entry.actorEmail }
+    : null;
+  const common = {
+    action: entry.action,
+    reason: entry.reason,
+    actor,
+    requestId: entry.requestId,
+  };
+
+  if (entry.entity === "assignment") {
+    const event = {
+      create: "assignment.created",
+      restore: "assignment.created",
+      update: "assignment.updated",
+      delete: "assignment.deleted",
+    }[entry.action];
+    if (!event) return;
+
+    const assignment =
+      entry.action === "delete" ? entry.before : entry.after || entry.before;
+    await queueWebhookEvent(
+      event,
+      {
+        assignment,
+        changes: event === "assignment.updated" ? entry.changes : undefined,
+        ...common,
+      },
+      session
+    );
+
+    if (event !== "assignment.deleted") {
+      await checkOverallocation(idOf(assignment.engineerId), session, {
+        changedId: assignment._id,
+        before: entry.before,
+      });
+    }
+    return;
+  }
+
+  if (entry.entity === "project" && entry.action === "transition") {
+    await queueWebhookEvent(
+      "project.status_changed",
+      {
+        project: {
+          id: entry.entityId,
+          name: entry.after.name,
+          managerId: entry.after.managerId,
+        },
+        from: entry.before.status,
+        to: entry.after.status,
+        ...common,
+      },
+      session
+    );
+    return;
+  }
+
+  // Time off and a lower maxCapacity can overbook an engineer without any
+  // assignment changing
+  const capacityChange =
+    entry.entity === "user" &&
+    entry.changes.find((change) => change.field === "maxCapacity");
+  if (entry.entity === "timeOff" && entry.action === "create") {
+    await checkOverallocation(entry.after.engineerId, session, {
+      changedId: entry.after._id,
+    });
+  } else if (capacityChange) {
+    await checkOverallocation(entry.entityId, session, {
+      previousMaxCapacity: capacityChange.from,
+    });
+  }
+};
+
+// Helper function to make one delivery attempt and record its outcome
+const attemptWebhookDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+  const attemptedAt = new Date();
+
+  if (!webhook || !webhook.active) {
+    delivery.status = "failed";
+    delivery.error = "Webhook was removed or disabled";
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+  const attempt = { attemptedAt };
+
+  try {
+    // Checked again on every attempt: the settings can change after the
+    // webhook was saved, and an IP address in the URL never reaches the
+    // agent's lookup
+    const refused = await checkWebhookUrl(webhook.url);
+    if (refused) throw new Error(refused);
+
+    const response = await undici.fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "erm-webhooks/1.0",
+        "X-Webhook-Id": String(webhook._id),
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signWebhookPayload(
+          webhook.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      redirect: "manual",
+      dispatcher: webhookAgent,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    attempt.responseStatus = response.status;
+    if (!response.ok) {
+      attempt.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.cause?.message || error.message;
+  }
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = attemptedAt;
+  delivery.responseStatus = attempt.responseStatus;
+  delivery.error = attempt.error;
+  delivery.log.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(
+      Date.now() + webhookRetryDelay(delivery.attempts)
+    );
+  }
+
+  return delivery.save();
+};
+
+// Send every delivery that is due. Each one is claimed by pushing its
+// nextAttemptAt past the request timeout first, so two server instances
+// never send the same delivery at once.
+const processWebhookDeliveries = async () => {
+  let processed = 0;
+
+  while (processed < WEBHOOK_BATCH_SIZE) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 2) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    await attemptWebhookDelivery(delivery);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Poll for due deliveries on an interval. A run is skipped while the previous
+// one is still sending, and the timer is unref'd like the lifecycle job's.
+const scheduleWebhookDispatcher = () => {
+  let running = false;
+  const run = () => {
+    if (running) return;
+    running = true;
+    processWebhookDeliveries()
+      .catch((error) => console.error("Webhook dispatcher error:", error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  setInterval(run, WEBHOOK_POLL_INTERVAL_SECONDS * 1000).unref();
+};
+
+// Notifications
+//
+// Engineers are told about changes to their assignments and to the status of
+// projects they are on, and get a reminder when an assignment is about to
+// end. Notifications are written with the change's audit entry, so they
+// follow the same transaction.
+
+// Days before an assignment's end date that the reminder goes out
+const ASSIGNMENT_ENDING_NOTICE_DAYS = 7;
+const DIGEST_DAYS = 7;
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Helper function to describe an assignment change to its engineer
+const describeAssignmentChange = (action, assignment, projectName, changes) => {
+  const period = `${formatDay(assignment.startDate)} to ${formatDay(
+    assignment.endDate
+  )}`;
+
+  switch (action) {
+    case "create":
+      return {
+        type: "assignment.created",
+        title: `New assignment: ${projectName}`,
+        message: `You were assigned to ${projectName} at ${assignment.allocationPercentage}% from ${period}`,
+      };
+    case "restore":
+      return {
+        type: "assignment.created",
+        title: `Assignment restored: ${projectName}`,
+        message: `Your assignment to ${projectName} at ${assignment.allocationPercentage}% from ${period} was restored`,
+      };
+    case "update":
+      return {
+        type: "assignment.updated",
+        title: `Assignment changed: ${projectName}`,
+        message: `Your assignment to ${projectName} changed (${changes
+          .map((change) => change.field)
+          .join(
+            ", "
+          )}). It now runs at ${assignment.allocationPercentage}% from ${period}`,
+      };
+    case "delete":
+      return {
+        type: "assignment.deleted",
+        title: `Assignment removed: ${projectName}`,
+        message: `Your assignment to ${projectName} (${period}) was removed`,
+      };
+    default:
+      return null;
+  }
+};
+
+// Helper function to turn an audit entry into notifications for the
+// engineers it affects. Nobody is notified about their own changes.
+const queueNotifications = async (entry, session) => {
+  const actorId = entry.actorId ? String(entry.actorId) : null;
+
+  if (entry.entity === "assignment") {
+    // A reassignment removes the assignment for the previous engineer and
+    // gives it to the new one
+    const reassigned =
+      entry.action === "update" &&
+      entry.changes.some((change) => change.field === "engineerId");
+    const affected = reassigned
+      ? [
+          { action: "delete", assignment: entry.before },
+          { action: "create", assignment: entry.after },
+        ]
+      : [
+          {
+            action: entry.action,
+            assignment:
+              entry.action === "delete"
+                ? entry.before
+                : entry.after || entry.before,
+          },
+        ];
+
+    const notifications = [];
+    for (const { action, assignment } of affected) {
+      const engineerId = idOf(assignment.engineerId);
+      if (engineerId === actorId) continue;
+
+      const project = await Project.findById(idOf(assignment.projectId))
+        .select("name")
+        .setOptions({ withDeleted: true })
+        .session(session || null);
+      const notice = describeAssignmentChange(
+        action,
+        assignment,
+        project ? project.name : "a project",
+        entry.changes
+      );
+      if (!notice) continue;
+
+      notifications.push({
+        userId: engineerId,
+        ...notice,
+        data: {
+          assignmentId: entry.entityId,
+          projectId: project ? project._id : undefined,
+          projectName: project ? project.name : undefined,
+          changes: entry.changes.length ? entry.changes : undefined,
+          reason: entry.reason,
+        },
+        actorId: entry.actorId,
+      });
+    }
+    if (notifications.length === 0) return;
+
+    await Notification.insertMany(notifications, { session });
+    return;
+  }
+
+  if (entry.entity === "project" && entry.action === "transition") {
+    // Everyone with an assignment on the project that has not ended yet
+    const engineerIds = await Assignment.distinct("engineerId", {
+      projectId: entry.entityId,
+      endDate: { $gte: fromDayIndex(toDayIndex(new Date())) },
+    }).session(session || null);
+
+    const recipients = engineerIds.filter((id) => String(id) !== actorId);
+    if (recipients.length === 0) return;
+
+    const { name } = entry.after;
+    await Notification.insertMany(
+      recipients.map((userId) => ({
+        userId,
+        type: "project.status_changed",
+        title: `${name} is now ${entry.after.status}`,
+        message: `${name} moved from ${entry.before.status} to ${entry.after.status}${
+          entry.reason ? `: ${entry.reason}` : ""
+        }`,
+        data: {
+          projectId: entry.entityId,
+          projectName: name,
+          from: entry.before.status,
+          to: entry.after.status,
+          reason: entry.reason,
+        },
+        actorId: entry.actorId,
+      })),
+      { session }
+    );
+  }
+};
+
+// Remind engineers about assignments ending within the notice period. The
+// dedupe key holds the end date, so each end date is announced once and a
+// moved end date is announced again.
+const notifyEndingAssignments = async () => {
+  const today = toDayIndex(new Date());
+  const ending = await Assignment.find({
+    endDate: {
+      $gte: fromDayIndex(today),
+      $lt: fromDayIndex(today + ASSIGNMENT_ENDING_NOTICE_DAYS + 1),
+    },
+  }).populate("projectId", "name");
+  if (ending.length === 0) return 0;
+
+  const result = await Notification.bulkWrite(
+    ending.map((assignment) => {
+      const projectName = assignment.projectId
+        ? assignment.projectId.name
+        : "a project";
+      const endDate = formatDay(assignment.endDate);
+      const daysLeft = toDayIndex(assignment.endDate) - today;
+
+      return {
+        updateOne: {
+          filter: {
+            dedupeKey: `assignment.ending:${assignment._id}:${endDate}`,
+          },
+          update: {
+            $setOnInsert: {
+              userId: assignment.engineerId,
+              type: "assignment.ending",
+              title: `Assignment ending: ${projectName}`,
+              message:
+                daysLeft === 0
+                  ? `Your assignment to ${projectName} ends today`
+                  : `Your assignment to ${projectName} ends on ${endDate} (${daysLeft} day${
+                      daysLeft === 1 ? "" : "s"
+                    } left)`,
+              data: {
+                assignmentId: assignment._id,
+                projectId: assignment.projectId?._id,
+                projectName,
+                endDate: assignment.endDate,
+              },
+            },
+          },
+          upsert: true,
+        },
+      };
+    })
+  );
+
+  return result.upsertedCount;
+};
+
+// Helper function to group a user's notifications from the past days by
+// project, newest first
+const buildDigest = (notifications, from, to) => {
+  const byType = Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, 0])
+  );
+  const projects = new Map();
+
+  notifications.forEach((notification) => {
+    byType[notification.type] += 1;
+
+    const key = notification.data?.projectId
+      ? String(notification.data.projectId)
+      : "other";
+    if (!projects.has(key)) {
+      projects.set(key, {
+        projectId: notification.data?.projectId || null,
+        projectName: notification.data?.projectName || null,
+        notifications: [],
+      });
+    }
+    projects.get(key).notifications.push({
+      id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      createdAt: notification.createdAt,
+      read: Boolean(notification.readAt),
+    });
+  });
+
+  return {
+    from,
+    to,
+    total: notifications.length,
+    unread: notifications.filter((notification) => !notification.readAt).length,
+    byType,
+    projects: [...projects.values()].sort(
+      (a, b) => b.notifications.length - a.notifications.length
+    ),
+  };
+};
+
+// Live updates
+//
+// GET /api/events streams changes as Server-Sent Events. Events are built
+// from a change's audit entry and published once the change has committed
+// (see runTransaction), and each connected client only receives the events
+// its role lets it read. Clients are tracked in memory, so every server
+// instance streams the changes made through it.
+
+const LIVE_HEARTBEAT_SECONDS = 25;
+const LIVE_REPLAY_SIZE = 200;
+const LIVE_EVENT_PREFIXES = ["assignment", "project", "capacity"];
+
+const liveClients = new Set();
+const liveReplay = [];
+// Event ids carry the process start so a client reconnecting after a restart
+// is not replayed another process's events
+const liveBootId = Date.now().toString(36);
+let liveSequence = 0;
+
+// Helper function to run a transaction, publishing its live events only after
+// it commits. mongoose retries the callback on transient errors, so the list
+// starts over on each attempt.
+const runTransaction = async (fn) => {
+  let liveEvents = [];
+  const result = await mongoose.connection.transaction((session) => {
+    liveEvents = [];
+    session.liveEvents = liveEvents;
+    return fn(session);
+  });
+  liveEvents.forEach(publishLiveEvent);
+  return result;
+};
+
+// Helper function to decide whether a client may see an event. Admins and
+// viewers see everything; managers see the projects they could change (as in
+// checkProjectPolicy) and every engineer's capacity; engineers see their own
+// assignments and capacity and the projects they are on.
+const canReceiveLiveEvent = (client, { type, audience }) => {
+  if (["admin", "viewer"].includes(client.role)) return true;
+
+  if (client.role === "engineer") {
+    return audience.engineerIds.includes(client.userId);
+  }
+
+  if (client.role === "manager") {
+    if (type === "capacity.changed") return true;
+    return audience.projects.some(
+      (project) =>
+        idOf(project.managerId) === client.userId ||
+        (project.coManagerIds || []).some((id) => idOf(id) === client.userId) ||
+        (project.department &&
+          client.managedDepartments.includes(project.department))
+    );
+  }
+
+  return false;
+};
+
+const writeLiveEvent = (client, event) => {
+  client.res.write(
+    `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+      type: event.type,
+      occurredAt: event.occurredAt,
+      data: event.data,
+    })}\n\n`
+  );
+};
+
+// Send an event to every client allowed to see it and keep it for replay
+const publishLiveEvent = (event) => {
+  const published = {
+    ...event,
+    id: `${liveBootId}-${(liveSequence += 1)}`,
+    occurredAt: new Date(),
+  };
+  liveReplay.push(published);
+  if (liveReplay.length > LIVE_REPLAY_SIZE) liveReplay.shift();
+
+  liveClients.forEach((client) => {
+    if (
+      client.types.includes(published.type.split(".")[0]) &&
+      canReceiveLiveEvent(client, published)
+    ) {
+      writeLiveEvent(client, published);
+    }
+  });
+};
+
+// Helper function to list the live events a change produces, with the
+// audience used to filter them
+const buildLiveEvents = async (entry, session) => {
+  const events = [];
+  const capacityChanged = (engineerId, record) =>
+    events.push({
+      type: "capacity.changed",
+      data: {
+        engineerId,
+        source: entry.entity,
+        startDate: record?.startDate,
+        endDate: record?.endDate,
+      },
+      audience: { engineerIds: [String(engineerId)], projects: [] },
+    });
+
+  if (entry.entity === "assignment") {
+    const assignment =
+      entry.action === "delete" ? entry.before : entry.after || entry.before;
+    const type = {
+      create: "assignment.created",
+      restore: "assignment.created",
+      update: "assignment.updated",
+      delete: "assignment.deleted",
+    }[entry.action];
+    if (!type) return events;
+
+    // A reassignment or move is also shown to the previous engineer and
+    // project, and frees the previous engineer's capacity
+    const versions =
+      entry.action === "update" ? [entry.before, entry.after] : [assignment];
+    const engineerIds = [
+      ...new Set(versions.map((version) => idOf(version.engineerId))),
+    ];
+    const projects = await Project.find({
+      _id: {
+        $in: [...new Set(versions.map((version) => idOf(version.projectId)))],
+      },
+    })
+      .select("managerId coManagerIds department")
+      .setOptions({ withDeleted: true })
+      .session(session || null);
+
+    events.push({
+      type,
+      data: {
+        assignment,
+        changes: type === "assignment.updated" ? entry.changes : undefined,
+      },
+      audience: { engineerIds, projects },
+    });
+    if (engineerIds.length > 1) {
+      capacityChanged(engineerIds[0], entry.before);
+    }
+    capacityChanged(idOf(assignment.engineerId), assignment);
+    return events;
+  }
+
+  if (entry.entity === "project") {
+    const type = {
+      create: "project.created",
+      update: "project.updated",
+      "flag-overdue": "project.updated",
+      transition: "project.status_changed",
+      delete: "project.deleted",
+      restore: "project.restored",
+    }[entry.action];
+    if (!type) return events;
+
+    const project = entry.after || entry.before;
+    const engineerIds = await Assignment.distinct("engineerId", {
+      projectId: entry.entityId,
+    }).session(session || null);
+
+    events.push({
+      type,
+      data: {
+        project,
+        changes: entry.changes.length ? entry.changes : undefined,
+      },
+      audience: { engineerIds: engineerIds.map(String), projects: [project] },
+    });
+    return events;
+  }
+
+  if (entry.entity === "timeOff") {
+    const timeOff = entry.after || entry.before;
+    capacityChanged(idOf(timeOff.engineerId), timeOff);
+  } else if (
+    entry.entity === "user" &&
+    entry.changes.some((change) => change.field === "maxCapacity")
+  ) {
+    capacityChanged(String(entry.entityId));
+  }
+  return events;
+};
+
+// Helper function to publish a change's live events, holding them until the
+// transaction commits when there is one. Events are built even while nobody
+// is connected so reconnecting clients can be replayed what they missed.
+const queueLiveEvents = async (entry, session) => {
+  const events = await buildLiveEvents(entry, session);
+  if (session?.liveEvents) {
+    session.liveEvents.push(...events);
+  } else {
+    events.forEach(publishLiveEvent);
+  }
+};
+
+// Helper function to end the streams that match, sending the reason as a
+// final event
+const closeLiveClients = (matches, reason) => {
+  liveClients.forEach((client) => {
+    if (!matches(client)) return;
+    client.res.write(`event: ${reason}\ndata: {}\n\n`);
+    client.res.end();
+    liveClients.delete(client);
+  });
+};
+
+// Keep idle connections open through proxies and close streams whose access
+// token has expired or whose session was revoked. A client with an expired
+// token reconnects with a fresh one.
+const sendLiveHeartbeats = async () => {
+  const now = Date.now();
+  closeLiveClients(
+    (client) => client.expiresAt && client.expiresAt <= now,
+    "token-expired"
+  );
+
+  if (liveClients.size > 0) {
+    const activeSessionIds = await Session.find({
+      _id: { $in: [...new Set([...liveClients].map((client) => client.sid))] },
+      revokedAt: null,
+    }).distinct("_id");
+    const active = new Set(activeSessionIds.map(String));
+    closeLiveClients((client) => !active.has(client.sid), "session-revoked");
+  }
+
+  liveClients.forEach((client) => client.res.write(`: heartbeat\n\n`));
+};
+
+const scheduleLiveHeartbeats = () => {
+  setInterval(
+    () =>
+      sendLiveHeartbeats().catch((error) =>
+        console.error("Live heartbeat error:", error)
+      ),
+    LIVE_HEARTBEAT_SECONDS * 1000
+  ).unref();
+};
+
+// Authentication Routes
+app.post(
+  "/api/auth/register",
+  validate(schemas.register),
+  async (req, res, next) => {
+    try {
+      const {
+        email,
+        name,
+        password,
+        skills,
+        seniority,
+        maxCapacity,
+        inviteToken,
+      } = req.body;
+      let { role, department } = req.body;
+
+      // Elevated roles are only granted through a valid invite
+      let invite = null;
+      if (inviteToken) {
+        invite = await Invite.findOne({ tokenHash: hashToken(inviteToken) });
+        if (
+          !invite ||
+          invite.usedAt ||
+          invite.revokedAt ||
+          invite.expiresAt < new Date()
+        ) {
+          return next(
+            httpError(403, "Invite is invalid, expired or already used")
+          );
+        }
+        if (invite.email && invite.email !== String(email).toLowerCase()) {
+          return next(
+            httpError(403, "Invite was issued for a different email")
+          );
+        }
+        role = invite.role;
+        department = invite.department || department;
+      } else if (!OPEN_REGISTRATION) {
+        return next(httpError(403, "Registration requires an invite"));
+      } else if (role && role !== "engineer") {
+        return next(
+          httpError(403, `An invite is required to register as ${role}`)
+        );
+      } else {
+        role = "engineer";
+      }
+
+      // Check if user exists
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return next(httpError(409, "User already exists"));
+      }
+
+      // Normalise skills against the catalog
+      const resolvedSkills = await resolveSkills(
+        role === "engineer" ? skills : []
+      );
+      if (resolvedSkills.unknown.length > 0) {
+        return next(
+          httpError(
+            400,
+            `Unknown skills: ${resolvedSkills.unknown.join(", ")}`,
+            { unknownSkills: resolvedSkills.unknown }
+          )
+        );
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Create user
+      const user = new User({
+        email,
+        name,
+        password: hashedPassword,
+        role,
+        skills: role === "engineer" ? resolvedSkills.names : undefined,
+        skillLevels: role === "engineer" ? resolvedSkills.levels : undefined,
+        seniority: role === "engineer" ? seniority : undefined,
+        maxCapacity: maxCapacity || 100,
+        department,
+      });
+
+      // Claim the invite so it cannot be used twice
+      if (invite) {
+        const claimed = await Invite.findOneAndUpdate(
+          { _id: invite._id, usedAt: null },
+          { usedAt: new Date(), usedBy: user._id }
+        );
+        if (!claimed) {
+          return next(
+            httpError(403, "Invite is invalid, expired or already used")
+          );
+        }
+      }
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (invite) {
+          await Invite.findByIdAndUpdate(invite._id, {
+            $unset: { usedAt: 1, usedBy: 1 },
+          });
+        }
+        throw error;
+      }
+
+      await recordAudit(req, {
+        action: "register",
+        entity: "user",
+        after: user,
+        actor: user,
+        reason: invite ? `Invite ${invite._id}` : undefined,
+      });
+
+      // Generate tokens
+      const tokens = await issueTokens(user, req);
+
+      res.status(201).json({
+        ...tokens,
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          skills: user.skills,
+          skillLevels: user.skillLevels,
+          seniority: user.seniority,
+          maxCapacity: user.maxCapacity,
+          department: user.department,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post("/api/auth/login", validate(schemas.login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return next(httpError(400, "Invalid credentials"));
+    }
+
+    // Check password
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return next(httpError(400, "Invalid credentials"));
+    }
+
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        skills: user.skills,
+        skillLevels: user.skillLevels,
+        seniority: user.seniority,
+        maxCapacity: user.maxCapacity,
+        department: user.department,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again revokes the whole session.
+app.post(
+  "/api/auth/refresh",
+  validate(schemas.refresh),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+      const tokenHash = hashToken(refreshToken);
+      const session = await Session.findOne({
+        $or: [
+          { refreshTokenHash: tokenHash },
+          { rotatedTokenHashes: tokenHash },
+        ],
+      });
+
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return next(httpError(401, "Invalid refresh token"));
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user) {
+        return next(httpError(401, "Invalid refresh token"));
+      }
+
+      // Rotate in one atomic update that only matches while the presented
+      // token is still the current one. A rotated-out token, or the losing
+      // request when two use the same token at once, counts as reuse and
+      // revokes the session.
+      const nextRefreshToken = crypto.randomBytes(48).toString("hex");
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+        {
+          $set: { refreshTokenHash: hashToken(nextRefreshToken) },
+          $push: { rotatedTokenHashes: tokenHash },
+        },
+        { new: true }
+      );
+
+      if (!rotated) {
+        await Session.updateOne(
+          { _id: session._id, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: "refresh token reuse" }
+        );
+        closeLiveClients(
+          (client) => client.sid === String(session._id),
+          "session-revoked"
+        );
+        return next(httpError(401, "Invalid refresh token"));
+      }
+
+      res.json({
+        token: signAccessToken(user, rotated),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post("/api/auth/logout", authenticateToken, async (req, res, next) => {
+  try {
+    await Session.findByIdAndUpdate(req.user.sid, {
+      revokedAt: new Date(),
+      revokedReason: "logout",
+    });
+    closeLiveClients(
+      (client) => client.sid === String(req.user.sid),
+      "session-revoked"
+    );
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/auth/logout-all", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await Session.updateMany(
+      { userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout all sessions" }
+    );
+    closeLiveClients(
+      (client) => client.userId === String(req.user.userId),
+      "session-revoked"
+    );
+
+    res.json({
+      message: "Logged out of all sessions",
+      sessionsRevoked: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invitation Routes
+app.post(
+  "/api/invites",
+  authenticateToken,
+  requireManager,
+  validate(schemas.invite),
+  async (req, res, next) => {
+    try {
+      const { email, role = "engineer", department } = req.body;
+
+      if (role === "admin" && req.user.role !== "admin") {
+        return next(
+          httpError(403, "Only admins can invite admins", { rule: "role" })
+        );
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const invite = new Invite({
+        email,
+        role,
+        department,
+        tokenHash: hashToken(token),
+        createdBy: req.user.userId,
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * DAY_MS),
+      });
+      await invite.save();
+      await recordAudit(req, {
+        action: "create",
+        entity: "invite",
+        after: invite,
+      });
+
+      // The raw token is only returned once; only its hash is stored
+      const { tokenHash, ...inviteData } = invite.toObject();
+      res.status(201).json({
+        invite: inviteData,
+        token,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/invites",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const invites = await Invite.find()
+        .select("-tokenHash")
+        .populate("createdBy", "name email")
+        .populate("usedBy", "name email")
+        .sort({ createdAt: -1 });
+
+      res.json({ invites });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/api/invites/:id",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const invite = await Invite.findOneAndUpdate(
+        { _id: req.params.id, usedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      ).select("-tokenHash");
+
+      if (!invite) {
+        return next(httpError(404, "Invite not found or already used"));
+      }
+
+      await recordAudit(req, {
+        action: "revoke",
+        entity: "invite",
+        after: invite,
+      });
+
+      res.json({ invite });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get("/api/auth/profile", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select("-password");
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch(
+  "/api/auth/profile",
+  authenticateToken,
+  validate(schemas.profile),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(httpError(404, "User not found"));
+      }
+      const before = auditSnapshot(user);
+
+      const { name, department, skills, currentPassword, newPassword } =
+        req.body;
+
+      if (name !== undefined) user.name = name;
+      if (department !== undefined) user.department = department;
+
+      if (skills !== undefined) {
+        const resolvedSkills = await resolveSkills(skills);
+        if (resolvedSkills.unknown.length > 0) {
+          return next(
+            httpError(
+              400,
+              `Unknown skills: ${resolvedSkills.unknown.join(", ")}`,
+              { unknownSkills: resolvedSkills.unknown }
+            )
+          );
+        }
+        user.skills = resolvedSkills.names;
+        user.skillLevels = resolvedSkills.levels;
+      }
+
+      // Changing the password requires the current one and signs out every
+      // other session
+      if (newPassword !== undefined) {
+        if (!currentPassword) {
+          return next(
+            httpError(400, "currentPassword is required to set a new password")
+          );
+        }
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+          return next(httpError(400, "Current password is incorrect"));
+        }
+        user.password = await bcrypt.hash(newPassword, 10);
+
+        await Session.updateMany(
+          { userId: user._id, _id: { $ne: req.user.sid }, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: "password changed" }
+        );
+        closeLiveClients(
+          (client) =>
+            client.userId === String(user._id) &&
+            client.sid !== String(req.user.sid),
+          "session-revoked"
+        );
+      }
+
+      await user.save();
+      await recordAudit(req, {
+        action: "update",
+        entity: "user",
+        before,
+        after: user,
+        reason: newPassword !== undefined ? "Password changed" : undefined,
+      });
+
+      const { password, ...profile } = user.toObject();
+      res.json({ user: profile });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Engineer Routes
+app.get(
+  "/api/engineers",
+  authenticateToken,
+  validate(schemas.engineersQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const { minAvailableCapacity } = req.query;
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, ENGINEER_SORT_FIELDS, {
+        name: 1,
+      });
+      const query = await buildEngineerFilter(req.query);
+
+      // Current capacity is measured over the coming month
+      const currentDate = new Date();
+      const futureDate = new Date();
+      futureDate.setMonth(currentDate.getMonth() + 1);
+
+      let engineers;
+      let total;
+
+      if (minAvailableCapacity !== undefined) {
+        // Capacity is computed, not stored, so this filter has to run before
+        // the page is cut
+        const all = await loadEngineersWithCapacity(
+          query,
+          currentDate,
+          futureDate,
+          { sort }
+        );
+        const matching = all.filter(
+          (engineer) =>
+            engineer.availableCapacity >= Number(minAvailableCapacity)
+        );
+        total = matching.length;
+        engineers = matching.slice(
+          pagination.skip,
+          pagination.skip + pagination.limit
+        );
+      } else {
+        total = await User.countDocuments(query);
+        engineers = await loadEngineersWithCapacity(
+          query,
+          currentDate,
+          futureDate,
+          { sort, skip: pagination.skip, limit: pagination.limit }
+        );
+      }
+
+      res.json({
+        engineers: engineers.map((engineer) => ({
+          ...engineer,
+          timeOff: redactTimeOff(req.user, engineer._id, engineer.timeOff),
+        })),
+        pagination: paginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/engineers/:id/capacity",
+  authenticateToken,
+  validate(schemas.capacityQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { startDate, endDate, granularity = "day" } = req.query;
+
+      const capacity = await getCapacitySummary(
+        id,
+        new Date(startDate),
+        new Date(endDate),
+        { granularity }
+      );
+
+      if (!capacity) {
+        return next(httpError(404, "Engineer not found"));
+      }
+
+      res.json({
+        ...capacity,
+        timeOff: redactTimeOff(req.user, id, capacity.timeOff),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Time Off Routes
+app.get(
+  "/api/time-off",
+  authenticateToken,
+  validate(schemas.timeOffQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const query = {};
+
+      // Engineers only see their own time off
+      if (req.user.role === "engineer") {
+        query.engineerId = req.user.userId;
+      } else if (req.query.engineerId) {
+        query.engineerId = req.query.engineerId;
+      }
+
+      if (req.query.from) {
+        query.endDate = { $gte: new Date(req.query.from) };
+      }
+      if (req.query.to) {
+        query.startDate = { $lte: new Date(req.query.to) };
+      }
+
+      const timeOff = await TimeOff.find(query)
+        .populate("engineerId", "name email")
+        .sort({ startDate: 1 });
+
+      res.json({ timeOff });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/time-off",
+  authenticateToken,
+  validate(schemas.timeOff, { dateRange: true }),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate, type, percentage, note } = req.body;
+
+      // Engineers record their own time off; managers can record it for the
+      // engineers they manage (see checkTimeOffPolicy) and admins for anyone
+      let engineerId = req.user.userId;
+      if (req.body.engineerId && req.body.engineerId !== req.user.userId) {
+        if (!["manager", "admin"].includes(req.user.role)) {
+          return next(
+            httpError(403, "You can only record time off for yourself", {
+              rule: "role",
+            })
+          );
+        }
+        engineerId = req.body.engineerId;
+      }
+
+      const engineer = await User.findById(engineerId);
+      if (!engineer) {
+        return next(httpError(404, "Engineer not found"));
+      }
+
+      if (engineerId !== req.user.userId) {
+        const decision = await checkTimeOffPolicy(req.user, engineer);
+        if (!decision.allowed) {
+          return denyByPolicy(next, decision);
+        }
+      }
+
+      const timeOff = new TimeOff({
+        engineerId,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        type,
+        percentage,
+        note,
+      });
+      await timeOff.save();
+      await recordAudit(req, {
+        action: "create",
+        entity: "timeOff",
+        after: timeOff,
+      });
+
+      res.status(201).json({ timeOff });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete("/api/time-off/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const timeOff = await TimeOff.findById(req.params.id);
+    if (!timeOff) {
+      return next(httpError(404, "Time off not found"));
+    }
+
+    if (idOf(timeOff.engineerId) !== req.user.userId) {
+      const engineer = await User.findById(timeOff.engineerId);
+      const decision = engineer
+        ? await checkTimeOffPolicy(req.user, engineer)
+        : {
+            allowed: req.user.role === "admin",
+            rule: "role",
+            reason: "You can only remove your own time off",
+          };
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+    }
+
+    await TimeOff.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: "delete",
+      entity: "timeOff",
+      before: timeOff,
+    });
+
+    res.json({ message: "Time off deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Project Routes
+app.get(
+  "/api/projects",
+  authenticateToken,
+  validate(schemas.projectsQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, PROJECT_SORT_FIELDS, {
+        createdAt: -1,
+      });
+      const { query, withDeleted } = await buildProjectFilter(req.query);
+
+      const total = await Project.countDocuments(query).setOptions({
+        withDeleted,
+      });
+      const projects = await Project.find(query)
+        .setOptions({ withDeleted })
+        .populate("managerId", "name email")
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit);
+
+      res.json({
+        projects,
+        pagination: paginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/projects",
+  authenticateToken,
+  requireManager,
+  validate(schemas.project, { dateRange: true }),
+  async (req, res, next) => {
+    try {
+      const resolvedSkills = await resolveSkills(
+        req.body.requiredSkills,
+        "minLevel"
+      );
+      if (resolvedSkills.unknown.length > 0) {
+        return next(
+          httpError(
+            400,
+            `Unknown skills: ${resolvedSkills.unknown.join(", ")}`,
+            { unknownSkills: resolvedSkills.unknown }
+          )
+        );
+      }
+
+      const project = new Project({
+        ...req.body,
+        requiredSkills: resolvedSkills.names,
+        requiredSkillLevels: resolvedSkills.levels,
+        managerId: req.user.userId,
+      });
+
+      await project.save();
+      await recordAudit(req, {
+        action: "create",
+        entity: "project",
+        after: project,
+      });
+      await project.populate("managerId", "name email");
+
+      res.status(201).json({ project });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get("/api/projects/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id).populate(
+      "managerId",
+      "name email"
+    );
+
+    if (!project) {
+      return next(httpError(404, "Project not found"));
+    }
+
+    res.json({ project });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(
+  "/api/projects/:id/candidates",
+  authenticateToken,
+  requireReader,
+  validate(schemas.candidatesQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const requiredSkills = project.requiredSkills || [];
+      const candidates = await rankCandidates(project);
+
+      const limit = parseInt(req.query.limit, 10);
+
+      res.json({
+        project: {
+          id: project._id,
+          name: project.name,
+          requiredSkills,
+          startDate: project.startDate,
+          endDate: project.endDate,
+        },
+        weights: CANDIDATE_WEIGHTS,
+        candidates: limit > 0 ? candidates.slice(0, limit) : candidates,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/projects/:id/staffing-plan",
+  authenticateToken,
+  requireManager,
+  validate(schemas.staffingPlan),
+  async (req, res, next) => {
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const {
+        allocationPercentage = 100,
+        minAllocation = 25,
+        role = "Developer",
+      } = req.body;
+
+      const candidates = await rankCandidates(project);
+      const options = {
+        allocationPercentage: Number(allocationPercentage),
+        minAllocation: Number(minAllocation),
+        role,
+      };
+
+      // Drop strategies that end up proposing the exact same team
+      const seen = new Set();
+      const plans = Object.keys(STAFFING_STRATEGIES)
+        .map((strategy) =>
+          buildStaffingPlan(project, candidates, strategy, options)
+        )
+        .filter((plan) => {
+          const key = plan.assignments
+            .map((assignment) => String(assignment.engineerId))
+            .sort()
+            .join(",");
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+
+      res.json({ projectId: project._id, plans });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/projects/:id/staffing-plan/accept",
+  authenticateToken,
+  requireManager,
+  validate(schemas.staffingPlanAccept),
+  async (req, res, next) => {
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, project);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+        return next(
+          httpError(
+            409,
+            `Cannot assign engineers to a ${project.status} project`
+          )
+        );
+      }
+
+      const { assignments } = req.body;
+
+      // Create every assignment in one transaction so a plan is either fully
+      // applied or not applied at all
+      const created = await runTransaction(async (session) => {
+        const docs = [];
+
+        for (const item of assignments) {
+          const engineer = await User.findById(item.engineerId).session(
+            session
+          );
+          if (!engineer) {
+            throw httpError(404, "Engineer not found", {
+              engineerId: item.engineerId,
+            });
+          }
+
+          const planned = {
+            allocationPercentage: Number(item.allocationPercentage),
+            startDate: new Date(item.startDate || project.startDate),
+            endDate: new Date(item.endDate || project.endDate),
+          };
+
+          const conflicts = await findCapacityConflicts(engineer, planned, {
+            session,
+          });
+          if (conflicts.length > 0) {
+            const { error, ...details } = capacityConflictResponse(
+              engineer,
+              planned.allocationPercentage,
+              conflicts
+            );
+            throw httpError(409, error, details);
+          }
+
+          const [doc] = await Assignment.create(
+            [
+              {
+                ...planned,
+                engineerId: engineer._id,
+                projectId: project._id,
+                role: item.role || "Developer",
+              },
+            ],
+            { session }
+          );
+          await recordAudit(
+            req,
+            {
+              action: "create",
+              entity: "assignment",
+              after: doc,
+              reason: "Staffing plan accepted",
+            },
+            session
+          );
+          docs.push(doc);
+        }
+
+        return docs;
+      });
+
+      await Assignment.populate(created, [
+        { path: "engineerId", select: "name email skills seniority" },
+        { path: "projectId", select: "name description status" },
+      ]);
+
+      res.status(201).json({ assignments: created });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.put(
+  "/api/projects/:id",
+  authenticateToken,
+  requireManager,
+  validate(schemas.project, { partial: true, dateRange: true }),
+  async (req, res, next) => {
+    try {
+      const existing = await Project.findById(req.params.id);
+      if (!existing) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, existing);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      // Only the owner or an admin may change who co-owns the project
+      if (
+        req.body.coManagerIds !== undefined &&
+        !["owner", "admin"].includes(decision.rule)
+      ) {
+        return denyByPolicy(next, {
+          rule: "project-co-owners",
+          reason: "Only the project owner or an admin can change co-owners",
+        });
+      }
+
+      // The department decides who gets department-based access, so it is
+      // guarded the same way
+      if (
+        req.body.department !== undefined &&
+        req.body.department !== existing.department &&
+        !["owner", "admin"].includes(decision.rule)
+      ) {
+        return denyByPolicy(next, {
+          rule: "project-department",
+          reason:
+            "Only the project owner or an admin can change the department",
+        });
+      }
+
+      // A partial update can still move one end of the range past the other
+      const errors = [];
+      checkDateRange(
+        req.body.startDate || existing.startDate,
+        req.body.endDate || existing.endDate,
+        errors
+      );
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+
+      const update = { ...req.body };
+
+      if (req.body.requiredSkills !== undefined) {
+        const resolvedSkills = await resolveSkills(
+          req.body.requiredSkills,
+          "minLevel"
+        );
+        if (resolvedSkills.unknown.length > 0) {
+          return next(
+            httpError(
+              400,
+              `Unknown skills: ${resolvedSkills.unknown.join(", ")}`,
+              { unknownSkills: resolvedSkills.unknown }
+            )
+          );
+        }
+        update.requiredSkills = resolvedSkills.names;
+        update.requiredSkillLevels = resolvedSkills.levels;
+      }
+
+      // Moving the end date re-evaluates the overdue flag straight away
+      // instead of waiting for the next lifecycle run
+      if (req.body.endDate !== undefined) {
+        update.overdue =
+          ["active", "on-hold"].includes(existing.status) &&
+          toDayIndex(req.body.endDate) < toDayIndex(new Date());
+      }
+
+      const project = await Project.findByIdAndUpdate(req.params.id, update, {
+        new: true,
+      });
+
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entity: "project",
+        before: existing,
+        after: project,
+      });
+      await project.populate("managerId", "name email");
+
+      res.json({ project });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/projects/:id/transitions",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const project = await Project.findById(req.params.id)
+        .select("name status overdue statusHistory")
+        .populate("statusHistory.changedBy", "name email");
+
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      res.json({
+        status: project.status,
+        overdue: project.overdue,
+        allowed: PROJECT_TRANSITIONS[project.status] || [],
+        history: project.statusHistory,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change a project's status. Completing or cancelling a project also ends
+// its open assignments, in the same transaction.
+app.post(
+  "/api/projects/:id/transitions",
+  authenticateToken,
+  requireManager,
+  validate(schemas.projectTransition),
+  async (req, res, next) => {
+    try {
+      const existing = await Project.findById(req.params.id);
+      if (!existing) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, existing);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      const { status, reason } = req.body;
+      const options = { req, reason };
+
+      const result = CLOSED_PROJECT_STATUSES.includes(status)
+        ? await runTransaction(async (session) => {
+            const project = await Project.findById(req.params.id).session(
+              session
+            );
+            return transitionProject(project, status, {
+              ...options,
+              session,
+            });
+          })
+        : await transitionProject(existing, status, options);
+
+      await result.project.populate("managerId", "name email");
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Soft-delete a project. With ?cascade=true its assignments are soft-deleted
+// along with it; otherwise a project that still has assignments is refused.
+app.delete(
+  "/api/projects/:id",
+  authenticateToken,
+  requireManager,
+  validate(schemas.projectDeleteQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { cascade } = req.query;
+
+      // Check if project exists
+      const project = await Project.findById(id);
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, project);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      // Check if there are any active assignments for this project
+      const activeAssignments = await Assignment.find({ projectId: id });
+      if (activeAssignments.length > 0 && !cascade) {
+        return next(
+          httpError(
+            400,
+            "Cannot delete project with active assignments. Please remove all assignments first, or pass cascade=true to delete them with the project."
+          )
+        );
+      }
+
+      // The project and its assignments share one deletedAt, which is how a
+      // restore finds the assignments that went with it
+      const deletedAt = new Date();
+
+      if (activeAssignments.length > 0) {
+        await runTransaction(async (session) => {
+          const assignments = await Assignment.find({ projectId: id }).session(
+            session
+          );
+          for (const assignment of assignments) {
+            await softDeleteRecord(req, assignment, "assignment", {
+              reason: "Project deleted",
+              session,
+              deletedAt,
+            });
+          }
+          const doc = await Project.findById(id).session(session);
+          await softDeleteRecord(req, doc, "project", { session, deletedAt });
+        });
+      } else {
+        await softDeleteRecord(req, project, "project", { deletedAt });
+      }
+
+      res.json({
+        message: "Project deleted successfully",
+        assignmentsDeleted: activeAssignments.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a deleted project together with the assignments deleted with it
+app.post(
+  "/api/projects/:id/restore",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const existing = await Project.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      }).setOptions({ withDeleted: true });
+      if (!existing) {
+        return next(httpError(404, "Deleted project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, existing);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      const result = await runTransaction(async (session) => {
+        const project = await Project.findById(req.params.id)
+          .setOptions({ withDeleted: true })
+          .session(session);
+        const assignments = await Assignment.find({
+          projectId: project._id,
+          deletedAt: project.deletedAt,
+        })
+          .setOptions({ withDeleted: true })
+          .session(session);
+
+        await restoreRecord(req, project, "project", { session });
+        for (const assignment of assignments) {
+          await restoreAssignment(req, assignment, {
+            reason: "Project restored",
+            session,
+          });
+        }
+
+        return { project, assignmentsRestored: assignments.length };
+      });
+
+      await result.project.populate("managerId", "name email");
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Assignment Routes
+app.get(
+  "/api/assignments",
+  authenticateToken,
+  validate(schemas.assignmentsQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const sort = parseSort(req.query.sort, ASSIGNMENT_SORT_FIELDS, {
+        startDate: -1,
+      });
+      const { query, withDeleted } = buildAssignmentFilter(req.query, req.user);
+
+      const total = await Assignment.countDocuments(query).setOptions({
+        withDeleted,
+      });
+      const assignments = await Assignment.find(query)
+        .setOptions({ withDeleted })
+        .populate("engineerId", "name email skills seniority")
+        .populate({
+          path: "projectId",
+          select: "name description status deletedAt",
+          options: { withDeleted },
+        })
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit);
+
+      res.json({
+        assignments,
+        pagination: paginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/assignments",
+  authenticateToken,
+  requireManager,
+  validate(schemas.assignment, { dateRange: true }),
+  async (req, res, next) => {
+    try {
+      const {
+        engineerId,
+        projectId,
+        allocationPercentage,
+        startDate,
+        endDate,
+        role,
+      } = req.body;
+
+      // Validate engineer exists
+      const engineer = await User.findById(engineerId);
+      if (!engineer) {
+        return next(httpError(404, "Engineer not found"));
+      }
+
+      // Validate project exists
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return next(httpError(404, "Project not found"));
+      }
+
+      const decision = await checkProjectPolicy(req.user, project);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+        return next(
+          httpError(
+            409,
+            `Cannot assign engineers to a ${project.status} project`
+          )
+        );
+      }
+
+      // Check if engineer has enough capacity on every day of the assignment
+      const conflicts = await findCapacityConflicts(engineer, {
+        allocationPercentage,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+      });
+
+      if (conflicts.length > 0) {
+        return next(
+          capacityConflictError(engineer, allocationPercentage, conflicts)
+        );
+      }
+
+      // Create the assignment
+      const assignment = new Assignment({
+        engineerId,
+        projectId,
+        allocationPercentage: Number(allocationPercentage),
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        role: role || "Developer",
+      });
+
+      await assignment.save();
+      await recordAudit(req, {
+        action: "create",
+        entity: "assignment",
+        after: assignment,
+      });
+
+      // Populate the assignment with engineer and project details
+      await assignment.populate("engineerId", "name email skills seniority");
+      await assignment.populate("projectId", "name description status");
+
+      res.status(201).json({ assignment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Apply a batch of creates, updates and deletes in one transaction, or with
+// dryRun preview the allocations it would leave without saving anything
+app.post(
+  "/api/assignments/bulk",
+  authenticateToken,
+  requireManager,
+  validate(schemas.bulkAssignments),
+  async (req, res, next) => {
+    try {
+      if (req.body.dryRun) {
+        const plan = await planBulkAssignments(req, req.body);
+        return res.json({
+          dryRun: true,
+          valid: plan.conflicts.length === 0,
+          conflicts: plan.conflicts,
+          allocations: plan.allocations,
+        });
+      }
+
+      const result = await runTransaction(async (session) => {
+        const plan = await planBulkAssignments(req, req.body, session);
+        if (plan.conflicts.length > 0) {
+          throw httpError(
+            409,
+            `The batch would overbook ${plan.conflicts.length} engineer(s)`,
+            { conflicts: plan.conflicts }
+          );
+        }
+
+        return {
+          ...(await applyBulkPlan(req, plan, session, "Bulk change")),
+          allocations: plan.allocations,
+        };
+      });
+
+      res.json({ dryRun: false, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.put(
+  "/api/assignments/:id",
+  authenticateToken,
+  requireManager,
+  validate(schemas.assignment, { partial: true, dateRange: true }),
+  async (req, res, next) => {
+    try {
+      const existing = await Assignment.findById(req.params.id);
+      if (!existing) {
+        return next(httpError(404, "Assignment not found"));
+      }
+
+      // The manager needs rights on the current project and, when moving the
+      // assignment, on the new one too
+      const projectIds = [existing.projectId];
+      if (
+        req.body.projectId &&
+        idOf(req.body.projectId) !== idOf(existing.projectId)
+      ) {
+        projectIds.push(req.body.projectId);
+      }
+      let target;
+      for (const projectId of projectIds) {
+        const project = await Project.findById(projectId);
+        if (!project) {
+          return next(httpError(404, "Project not found"));
+        }
+        const decision = await checkProjectPolicy(req.user, project);
+        if (!decision.allowed) {
+          return denyByPolicy(next, decision);
+        }
+        target = project;
+      }
+
+      // As with POST and the bulk endpoint, a closed project takes no
+      // assignment changes: nothing can be moved into it or extended on it
+      if (CLOSED_PROJECT_STATUSES.includes(target.status)) {
+        return next(
+          httpError(
+            409,
+            `Cannot assign engineers to a ${target.status} project`
+          )
+        );
+      }
+
+      // Re-check capacity whenever the allocation, dates or engineer change
+      const updated = {
+        engineerId: req.body.engineerId || existing.engineerId,
+        allocationPercentage:
+          req.body.allocationPercentage ?? existing.allocationPercentage,
+        startDate: new Date(req.body.startDate || existing.startDate),
+        endDate: new Date(req.body.endDate || existing.endDate),
+      };
+
+      const errors = [];
+      checkDateRange(updated.startDate, updated.endDate, errors);
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+
+      const engineer = await User.findById(updated.engineerId);
+      if (!engineer) {
+        return next(httpError(404, "Engineer not found"));
+      }
+
+      const conflicts = await findCapacityConflicts(engineer, updated, {
+        excludeAssignmentId: existing._id,
+      });
+
+      if (conflicts.length > 0) {
+        return next(
+          capacityConflictError(
+            engineer,
+            updated.allocationPercentage,
+            conflicts
+          )
+        );
+      }
+
+      const assignment = await Assignment.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        { new: true }
+      );
+      await recordAudit(req, {
+        action: "update",
+        entity: "assignment",
+        before: existing,
+        after: assignment,
+      });
+
+      await assignment.populate([
+        { path: "engineerId", select: "name email skills seniority" },
+        { path: "projectId", select: "name description status" },
+      ]);
+
+      res.json({ assignment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/api/assignments/:id",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const assignment = await Assignment.findById(req.params.id).populate(
+        "projectId"
+      );
+
+      if (!assignment) {
+        return next(httpError(404, "Assignment not found"));
+      }
+
+      // Without its project nobody can be shown to own the assignment, so
+      // only admins may remove it
+      if (!assignment.projectId && req.user.role !== "admin") {
+        return denyByPolicy(next, {
+          rule: "project-ownership",
+          reason:
+            "The assignment's project no longer exists; only an admin can delete it",
+        });
+      }
+      if (assignment.projectId) {
+        const decision = await checkProjectPolicy(
+          req.user,
+          assignment.projectId
+        );
+        if (!decision.allowed) {
+          return denyByPolicy(next, decision);
+        }
+      }
+
+      await softDeleteRecord(
+        req,
+        assignment.depopulate("projectId"),
+        "assignment"
+      );
+
+      res.json({ message: "Assignment deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/assignments/:id/restore",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const assignment = await Assignment.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      }).setOptions({ withDeleted: true });
+      if (!assignment) {
+        return next(httpError(404, "Deleted assignment not found"));
+      }
+
+      const project = await Project.findById(assignment.projectId);
+      if (!project) {
+        return next(
+          httpError(409, "The project is deleted; restore the project first")
+        );
+      }
+
+      const decision = await checkProjectPolicy(req.user, project);
+      if (!decision.allowed) {
+        return denyByPolicy(next, decision);
+      }
+
+      if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+        return next(
+          httpError(
+            409,
+            `Cannot restore an assignment on a ${project.status} project`
+          )
+        );
+      }
+
+      await restoreAssignment(req, assignment);
+
+      await assignment.populate([
+        { path: "engineerId", select: "name email skills seniority" },
+        { path: "projectId", select: "name description status" },
+      ]);
+
+      res.json({ assignment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permanently remove soft-deleted projects and assignments, optionally only
+// those deleted more than olderThanDays ago
+app.post(
+  "/api/purge",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.purge),
+  async (req, res, next) => {
+    try {
+      const { olderThanDays = 0 } = req.body;
+      const cutoff = new Date(Date.now() - olderThanDays * DAY_MS);
+
+      const projects = await Project.find({ deletedAt: { $lte: cutoff } })
+        .setOptions({ withDeleted: true })
+        .select("_id");
+      const projectIds = projects.map((project) => project._id);
+
+      // A purged project takes all its assignments with it
+      const assignments = await Assignment.deleteMany({
+        $or: [
+          { deletedAt: { $lte: cutoff } },
+          { projectId: { $in: projectIds } },
+        ],
+      });
+      const purgedProjects = await Project.deleteMany({
+        _id: { $in: projectIds },
+      });
+
+      const purged = {
+        projects: purgedProjects.deletedCount,
+        assignments: assignments.deletedCount,
+      };
+
+      await recordAudit(req, {
+        action: "purge",
+        entity: "system",
+        after: { ...purged, olderThanDays },
+      });
+
+      res.json({ purged });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Calendar Routes
+
+// Create a feed token. The raw token (and the feed URL holding it) is only
+// returned once. Team feeds cover every project the user manages.
+app.post(
+  "/api/calendar/tokens",
+  authenticateToken,
+  validate(schemas.calendarToken),
+  async (req, res, next) => {
+    try {
+      const { scope = "personal" } = req.body;
+      if (scope === "team" && !["manager", "admin"].includes(req.user.role)) {
+        return next(
+          httpError(403, "Only managers have a team calendar", { rule: "role" })
+        );
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const calendarToken = await CalendarToken.create({
+        userId: req.user.userId,
+        scope,
+        tokenHash: hashToken(token),
+      });
+
+      const path =
+        scope === "team"
+          ? `/api/calendar/team/${req.user.userId}.ics`
+          : `/api/calendar/${req.user.userId}.ics`;
+      const { tokenHash, ...tokenData } = calendarToken.toObject();
+
+      res.status(201).json({
+        calendarToken: tokenData,
+        token,
+        url: `${req.protocol}://${req.get("host")}${path}?token=${token}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get("/api/calendar/tokens", authenticateToken, async (req, res, next) => {
+  try {
+    const calendarTokens = await CalendarToken.find({
+      userId: req.user.userId,
+    })
+      .select("-tokenHash")
+      .sort({ createdAt: -1 });
+
+    res.json({ calendarTokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a feed token. Admins can revoke anyone's.
+app.delete(
+  "/api/calendar/tokens/:id",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const query = { _id: req.params.id, revokedAt: null };
+      if (req.user.role !== "admin") {
+        query.userId = req.user.userId;
+      }
+
+      const calendarToken = await CalendarToken.findOneAndUpdate(
+        query,
+        { revokedAt: new Date() },
+        { new: true }
+      ).select("-tokenHash");
+
+      if (!calendarToken) {
+        return next(
+          httpError(404, "Calendar token not found or already revoked")
+        );
+      }
+
+      res.json({ calendarToken });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Team feed: every assignment on the projects the user owns, co-owns or
+// manages through their departments
+app.get(
+  "/api/calendar/team/:userId.ics",
+  validate(schemas.calendarFeedQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const user = await verifyCalendarToken(
+        req.params.userId,
+        req.query.token,
+        "team"
+      );
+      if (!user || !["manager", "admin"].includes(user.role)) {
+        return next(httpError(401, "Invalid or revoked calendar token"));
+      }
+
+      const projects = await Project.find({
+        $or: [
+          { managerId: user._id },
+          { coManagerIds: user._id },
+          { department: { $in: user.managedDepartments || [] } },
+        ],
+      }).select("_id");
+      const assignments = await loadCalendarAssignments({
+        projectId: { $in: projects.map((project) => project._id) },
+      });
+
+      sendCalendar(
+        res,
+        "team-assignments.ics",
+        buildCalendar(`Team assignments (${user.name})`, assignments, {
+          team: true,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/calendar/:userId.ics",
+  validate(schemas.calendarFeedQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const user = await verifyCalendarToken(
+        req.params.userId,
+        req.query.token,
+        "personal"
+      );
+      if (!user) {
+        return next(httpError(401, "Invalid or revoked calendar token"));
+      }
+
+      const assignments = await loadCalendarAssignments({
+        engineerId: user._id,
+      });
+
+      sendCalendar(
+        res,
+        "assignments.ics",
+        buildCalendar(`Assignments (${user.name})`, assignments)
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Notification Routes
+app.get(
+  "/api/notifications",
+  authenticateToken,
+  validate(schemas.notificationsQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const pagination = parsePagination(req.query);
+      const query = { userId: req.user.userId };
+      if (req.query.unread) query.readAt = null;
+      if (req.query.type) query.type = { $in: parseList(req.query.type) };
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .populate("actorId", "name email")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ userId: req.user.userId, readAt: null }),
+      ]);
+
+      res.json({
+        notifications,
+        unreadCount,
+        pagination: paginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/notifications/unread-count",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const unreadCount = await Notification.countDocuments({
+        userId: req.user.userId,
+        readAt: null,
+      });
+
+      res.json({ unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The past week's notifications grouped by project
+app.get(
+  "/api/notifications/digest",
+  authenticateToken,
+  validate(schemas.digestQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const to = new Date();
+      const from = new Date(
+        to.getTime() - (req.query.days || DIGEST_DAYS) * DAY_MS
+      );
+
+      const notifications = await Notification.find({
+        userId: req.user.userId,
+        createdAt: { $gte: from, $lte: to },
+      }).sort({ createdAt: -1, _id: -1 });
+
+      res.json({ digest: buildDigest(notifications, from, to) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/notifications/read-all",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user.userId, readAt: null },
+        { readAt: new Date() }
+      );
+
+      res.json({ updated: result.modifiedCount, unreadCount: 0 });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/notifications/:id/read",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        userId: req.user.userId,
+      });
+      if (!notification) {
+        return next(httpError(404, "Notification not found"));
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      const unreadCount = await Notification.countDocuments({
+        userId: req.user.userId,
+        readAt: null,
+      });
+
+      res.json({ notification, unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Live Update Routes
+
+// EventSource cannot set an Authorization header, so the stream also accepts
+// the access token as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Stream assignment, project and capacity events as Server-Sent Events.
+// ?types=assignment,project narrows the stream. A client reconnecting with
+// Last-Event-ID gets the events it missed while they are still buffered.
+app.get(
+  "/api/events",
+  tokenFromQuery,
+  authenticateToken,
+  validate(schemas.liveEventsQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const types = req.query.types
+        ? parseList(req.query.types)
+        : LIVE_EVENT_PREFIXES;
+      if (types.some((type) => !LIVE_EVENT_PREFIXES.includes(type))) {
+        throw validationError([
+          {
+            field: "types",
+            message: `types must be a list of: ${LIVE_EVENT_PREFIXES.join(", ")}`,
+          },
+        ]);
+      }
+
+      const user = await User.findById(req.user.userId).select(
+        "managedDepartments"
+      );
+      if (!user) {
+        return next(httpError(404, "User not found"));
+      }
+
+      const client = {
+        res,
+        userId: String(req.user.userId),
+        sid: String(req.user.sid),
+        role: req.user.role,
+        managedDepartments: user.managedDepartments || [],
+        types,
+        expiresAt: req.user.exp ? req.user.exp * 1000 : null,
+      };
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      const lastEventId = req.get("Last-Event-ID");
+      if (lastEventId && lastEventId.startsWith(`${liveBootId}-`)) {
+        const lastSequence = Number(lastEventId.split("-")[1]);
+        liveReplay
+          .filter(
+            (event) =>
+              Number(event.id.split("-")[1]) > lastSequence &&
+              types.includes(event.type.split(".")[0]) &&
+              canReceiveLiveEvent(client, event)
+          )
+          .forEach((event) => writeLiveEvent(client, event));
+      }
+
+      res.write(
+        `event: ready\ndata: ${JSON.stringify({
+          userId: client.userId,
+          role: client.role,
+          types,
+        })}\n\n`
+      );
+
+      liveClients.add(client);
+      req.on("close", () => liveClients.delete(client));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Webhook Routes
+//
+// Managers see and change the webhooks they created; admins see all of them.
+const findWebhook = (req, id, projection) =>
+  Webhook.findOne({
+    _id: id,
+    ...(req.user.role === "admin" ? {} : { createdBy: req.user.userId }),
+  }).select(projection);
+
+// Register a webhook. The signing secret is only returned here and on
+// rotation.
+app.post(
+  "/api/webhooks",
+  authenticateToken,
+  requireManager,
+  validate(schemas.webhook),
+  async (req, res, next) => {
+    try {
+      const refused = await checkWebhookUrl(req.body.url);
+      if (refused) {
+        return next(validationError([{ field: "url", message: refused }]));
+      }
+
+      const secret = generateWebhookSecret();
+      const webhook = await Webhook.create({
+        ...req.body,
+        events: [...new Set(req.body.events)],
+        secret,
+        createdBy: req.user.userId,
+      });
+      await recordAudit(req, {
+        action: "create",
+        entity: "webhook",
+        after: webhook,
+      });
+
+      const { secret: omitted, ...webhookData } = webhook.toObject();
+      res.status(201).json({ webhook: webhookData, secret });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/webhooks",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const query =
+        req.user.role === "admin" ? {} : { createdBy: req.user.userId };
+      const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+
+      res.json({ webhooks, events: WEBHOOK_EVENTS });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/webhooks/:id",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      res.json({ webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.put(
+  "/api/webhooks/:id",
+  authenticateToken,
+  requireManager,
+  validate(schemas.webhook, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      if (req.body.url) {
+        const refused = await checkWebhookUrl(req.body.url);
+        if (refused) {
+          return next(validationError([{ field: "url", message: refused }]));
+        }
+      }
+
+      const before = auditSnapshot(webhook);
+      webhook.set(req.body);
+      if (req.body.events) {
+        webhook.events = [...new Set(req.body.events)];
+      }
+      await webhook.save();
+      await recordAudit(req, {
+        action: "update",
+        entity: "webhook",
+        before,
+        after: webhook,
+      });
+
+      res.json({ webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Deleting a webhook keeps its delivery log; pending deliveries fail on
+// their next attempt
+app.delete(
+  "/api/webhooks/:id",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      await webhook.deleteOne();
+      await recordAudit(req, {
+        action: "delete",
+        entity: "webhook",
+        before: webhook,
+      });
+
+      res.json({ message: "Webhook deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace the signing secret. Deliveries sent from now on use the new one.
+app.post(
+  "/api/webhooks/:id/rotate-secret",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      const secret = generateWebhookSecret();
+      webhook.secret = secret;
+      await webhook.save();
+      await recordAudit(req, {
+        action: "rotate-secret",
+        entity: "webhook",
+        after: webhook,
+      });
+
+      const { secret: omitted, ...webhookData } = webhook.toObject();
+      res.json({ webhook: webhookData, secret });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Send a ping event straight away and return the attempt, so a receiver can
+// be checked without waiting for a real change. Failed pings are retried
+// like any other delivery.
+app.post(
+  "/api/webhooks/:id/ping",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        event: "ping",
+        payload: {
+          event: "ping",
+          occurredAt: new Date(),
+          data: { webhookId: webhook._id, events: webhook.events },
+        },
+        nextAttemptAt: new Date(Date.now() + WEBHOOK_TIMEOUT_MS * 2),
+      });
+
+      res.json({ delivery: await attemptWebhookDelivery(delivery) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delivery log, newest first
+app.get(
+  "/api/webhooks/:id/deliveries",
+  authenticateToken,
+  requireManager,
+  validate(schemas.webhookDeliveriesQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req, req.params.id);
+      if (!webhook) {
+        return next(httpError(404, "Webhook not found"));
+      }
+
+      const pagination = parsePagination(req.query);
+      const query = { webhookId: webhook._id };
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.event) query.event = { $in: parseList(req.query.event) };
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        WebhookDelivery.countDocuments(query),
+      ]);
+
+      res.json({
+        deliveries,
+        pagination: paginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Send a delivery again now, with a fresh set of retries. Its earlier
+// attempts stay in the log.
+app.post(
+  "/api/webhook-deliveries/:id/redeliver",
+  authenticateToken,
+  requireManager,
+  async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.id);
+      const webhook = delivery && (await findWebhook(req, delivery.webhookId));
+      if (!webhook) {
+        return next(httpError(404, "Delivery not found"));
+      }
+
+      delivery.status = "pending";
+      delivery.attempts = 0;
+      delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_TIMEOUT_MS * 2);
+      delivery.deliveredAt = undefined;
+
+      res.json({ delivery: await attemptWebhookDelivery(delivery) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Import and Export Routes
+
+// Import users, projects or assignments from CSV. With ?dryRun=true the rows
+// are only checked and the errors listed; otherwise nothing is saved unless
+// every row is valid.
+app.post(
+  "/api/import/:entity",
+  authenticateToken,
+  requireManager,
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  validate(schemas.importQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const importer = IMPORTERS[req.params.entity];
+      if (!importer) {
+        return next(
+          httpError(
+            404,
+            `Cannot import ${req.params.entity}; use one of: ${Object.keys(IMPORTERS).join(", ")}`
+          )
+        );
+      }
+      if (typeof req.body !== "string") {
+        return next(
+          httpError(
+            400,
+            "Send the CSV file as the request body with Content-Type: text/csv"
+          )
+        );
+      }
+
+      const rows = readImportRows(
+        req.body,
+        importer.fields,
+        importer.ignoredColumns
+      );
+      const {
+        records,
+        errors,
+        conflicts = [],
+      } = await importer.prepare(req, rows);
+      const valid = errors.length === 0 && conflicts.length === 0;
+      errors.sort((a, b) => a.row - b.row);
+
+      if (req.query.dryRun) {
+        return res.json({
+          dryRun: true,
+          valid,
+          rows: rows.length,
+          errors,
+          conflicts,
+        });
+      }
+      if (!valid) {
+        throw httpError(400, "The import has errors; nothing was imported", {
+          code: "VALIDATION_ERROR",
+          rows: rows.length,
+          errors,
+          conflicts,
+        });
+      }
+
+      const ready = importer.finalize
+        ? await importer.finalize(records)
+        : records;
+      const result = await runTransaction((session) =>
+        importer.commit(req, ready, session)
+      );
+
+      res.status(201).json({ dryRun: false, rows: rows.length, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/export/engineers",
+  authenticateToken,
+  validate(schemas.engineersExport, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const { minAvailableCapacity, format } = req.query;
+      const sort = parseSort(req.query.sort, ENGINEER_SORT_FIELDS, {
+        name: 1,
+      });
+      const query = await buildEngineerFilter(req.query);
+
+      // Same window as the engineer list: the coming month
+      const currentDate = new Date();
+      const futureDate = new Date();
+      futureDate.setMonth(currentDate.getMonth() + 1);
+
+      let engineers = await loadEngineersWithCapacity(
+        query,
+        currentDate,
+        futureDate,
+        { sort }
+      );
+      if (minAvailableCapacity !== undefined) {
+        engineers = engineers.filter(
+          (engineer) =>
+            engineer.availableCapacity >= Number(minAvailableCapacity)
+        );
+      }
+
+      await sendTable(res, {
+        name: "engineers",
+        format,
+        columns: ENGINEER_EXPORT_COLUMNS,
+        rows: engineers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/export/projects",
+  authenticateToken,
+  validate(schemas.projectsExport, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const sort = parseSort(req.query.sort, PROJECT_SORT_FIELDS, {
+        createdAt: -1,
+      });
+      const { query, withDeleted } = await buildProjectFilter(req.query);
+
+      const projects = await Project.find(query)
+        .setOptions({ withDeleted })
+        .populate("managerId", "name email")
+        .sort(sort);
+
+      await sendTable(res, {
+        name: "projects",
+        format: req.query.format,
+        columns: PROJECT_EXPORT_COLUMNS,
+        rows: projects,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/export/assignments",
+  authenticateToken,
+  validate(schemas.assignmentsExport, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const sort = parseSort(req.query.sort, ASSIGNMENT_SORT_FIELDS, {
+        startDate: -1,
+      });
+      const { query, withDeleted } = buildAssignmentFilter(req.query, req.user);
+
+      const assignments = await Assignment.find(query)
+        .setOptions({ withDeleted })
+        .populate("engineerId", "name email")
+        .populate({
+          path: "projectId",
+          select: "name",
+          options: { withDeleted },
+        })
+        .sort(sort);
+
+      await sendTable(res, {
+        name: "assignments",
+        format: req.query.format,
+        columns: ASSIGNMENT_EXPORT_COLUMNS,
+        rows: assignments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// User Access Routes
+app.put(
+  "/api/users/:id/access",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.userAccess),
+  async (req, res, next) => {
+    try {
+      const existing = await User.findById(req.params.id);
+      if (!existing) {
+        return next(httpError(404, "User not found"));
+      }
+
+      const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+      }).select("-password");
+
+      if (!user) {
+        return next(httpError(404, "User not found"));
+      }
+
+      // The role travels in access tokens, so a new role only takes effect
+      // once the user signs in again
+      if (user.role !== existing.role) {
+        await Session.updateMany(
+          { userId: user._id, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: "role changed" }
+        );
+        closeLiveClients(
+          (client) => client.userId === String(user._id),
+          "session-revoked"
+        );
+      }
+
+      await recordAudit(req, {
+        action: "update-access",
+        entity: "user",
+        before: existing,
+        after: user,
+      });
+
+      res.json({ user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Skills Catalog Routes
+app.get("/api/skills", authenticateToken, async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const skills = await Skill.find(query).sort({ category: 1, name: 1 });
+
+    res.json({ skills });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post(
+  "/api/skills",
+  authenticateToken,
+  requireManager,
+  validate(schemas.skill),
+  async (req, res, next) => {
+    try {
+      const { name, category, aliases = [] } = req.body;
+
+      // Reject names or aliases that already resolve to another skill
+      const taken = await findTakenSkillNames([name, ...aliases]);
+      if (taken.length > 0) {
+        return next(
+          httpError(
+            409,
+            `Skill already exists in the catalog: ${taken.join(", ")}`
+          )
+        );
+      }
+
+      const skill = new Skill({ name, category, aliases });
+      await skill.save();
+      await recordAudit(req, {
+        action: "create",
+        entity: "skill",
+        after: skill,
+      });
+
+      res.status(201).json({ skill });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.put(
+  "/api/skills/:id",
+  authenticateToken,
+  requireManager,
+  validate(schemas.skillUpdate),
+  async (req, res, next) => {
+    try {
+      const existing = await Skill.findById(req.params.id);
+      if (!existing) {
+        return next(httpError(404, "Skill not found"));
+      }
+
+      // New aliases must not resolve to another skill either
+      const taken = await findTakenSkillNames(
+        req.body.aliases || [],
+        existing._id
+      );
+      if (taken.length > 0) {
+        return next(
+          httpError(
+            409,
+            `Skill already exists in the catalog: ${taken.join(", ")}`
+          )
+        );
+      }
+
+      const skill = await Skill.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+      });
+
+      if (!skill) {
+        return next(httpError(404, "Skill not found"));
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entity: "skill",
+        before: existing,
+        after: skill,
+      });
+
+      res.json({ skill });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Merge duplicate skills into one and rewrite every user and project that
+// references them
+app.post(
+  "/api/skills/merge",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.skillMerge),
+  async (req, res, next) => {
+    try {
+      const { sourceIds, targetId } = req.body;
+
+      if (sourceIds.map(String).includes(String(targetId))) {
+        return next(httpError(400, "targetId cannot also be a source skill"));
+      }
+
+      const result = await runTransaction(async (session) => {
+        const target = await Skill.findById(targetId).session(session);
+        const sources = await Skill.find({ _id: { $in: sourceIds } }).session(
+          session
+        );
+
+        if (!target || sources.length !== sourceIds.length) {
+          throw httpError(404, "Skill not found");
+        }
+
+        const renamed = new Map(
+          sources.map((source) => [normalizeSkill(source.name), target.name])
+        );
+        const rename = (name) => renamed.get(normalizeSkill(name)) || name;
+
+        // Keep the highest level when an entry ends up listed twice
+        const mergeLevels = (entries, levelField) => {
+          const merged = new Map();
+          entries.forEach((entry) => {
+            const skill = rename(entry.skill);
+            const current = merged.get(skill);
+            if (!current || entry[levelField] > current[levelField]) {
+              merged.set(skill, { skill, [levelField]: entry[levelField] });
+            }
+          });
+          return [...merged.values()];
+        };
+
+        const sourceNames = sources.map((source) => source.name);
+
+        const users = await User.find({ skills: { $in: sourceNames } }).session(
+          session
+        );
+        const reason = `Merged skills ${sourceNames.join(", ")} into ${target.name}`;
+
+        for (const user of users) {
+          const before = auditSnapshot(user);
+          user.skills = [...new Set(user.skills.map(rename))];
+          user.skillLevels = mergeLevels(user.skillLevels, "level");
+          await user.save({ session });
+          await recordAudit(
+            req,
+            { action: "update", entity: "user", before, after: user, reason },
+            session
+          );
+        }
+
+        const projects = await Project.find({
+          requiredSkills: { $in: sourceNames },
+        }).session(session);
+        for (const project of projects) {
+          const before = auditSnapshot(project);
+          project.requiredSkills = [
+            ...new Set(project.requiredSkills.map(rename)),
+          ];
+          project.requiredSkillLevels = mergeLevels(
+            project.requiredSkillLevels,
+            "minLevel"
+          );
+          await project.save({ session });
+          await recordAudit(
+            req,
+            {
+              action: "update",
+              entity: "project",
+              before,
+              after: project,
+              reason,
+            },
+            session
+          );
+        }
+
+        const targetBefore = auditSnapshot(target);
+        target.aliases = [
+          ...new Set([
+            ...target.aliases,
+            ...sources.flatMap((source) => [source.name, ...source.aliases]),
+          ]),
+        ];
+        await target.save({ session });
+        await recordAudit(
+          req,
+          {
+            action: "merge",
+            entity: "skill",
+            before: targetBefore,
+            after: target,
+            reason,
+          },
+          session
+        );
+
+        await Skill.deleteMany({ _id: { $in: sourceIds } }, { session });
+        for (const source of sources) {
+          await recordAudit(
+            req,
+            { action: "delete", entity: "skill", before: source, reason },
+            session
+          );
+        }
+
+        return {
+          skill: target,
+          usersUpdated: users.length,
+          projectsUpdated: projects.length,
+        };
+      });
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Audit Routes
+app.get(
+  "/api/audit",
+  authenticateToken,
+  requireManager,
+  validate(schemas.auditQuery, { source: "query" }),
+  async (req, res, next) => {
+    try {
+      const { entity, entityId, actorId, action, requestId, from, to } =
+        req.query;
+      const pagination = parsePagination(req.query);
 
-      await project.save();
-      await project.populate("managerId", "name email");
+      const query = {};
+      if (entity) query.entity = entity;
+      if (entityId) query.entityId = entityId;
+      if (actorId) query.actorId = actorId;
+      if (action) query.action = { $in: parseList(action) };
+      if (requestId) query.requestId = requestId;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        // to is inclusive of the whole day
+        if (to) query.createdAt.$lt = fromDayIndex(toDayIndex(to) + 1);
+      }
 
-      res.status(201).json({ project });
+      const { entries, total } = await findAuditEntries(query, pagination);
+
+      res.json({
+        entries,
+        pagination: paginationMeta(req, pagination, total),
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-app.get("/api/projects/:id", authenticateToken, async (req, res) => {
+// Per-entity change history, newest first
+const entityHistory = (entity) => async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id).populate(
-      "managerId",
-      "name email"
+    const pagination = parsePagination(req.query);
+    const { entries, total } = await findAuditEntries(
+      { entity, entityId: req.params.id },
+      pagination
     );
 
-    if (!project) {
-      return res.status(404).json({ error: "Project not found" });
-    }
-
-    res.json({ project });
+    res.json({
+      history: entries,
+      pagination: paginationMeta(req, pagination, total),
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
-});
+};
 
-app.put(
-  "/api/projects/:id",
+app.get(
+  "/api/users/:id/history",
+  authenticateToken,
+  requireManager,
+  validate(schemas.historyQuery, { source: "query" }),
+  entityHistory("user")
+);
+
+app.get(
+  "/api/projects/:id/history",
+  authenticateToken,
+  requireManager,
+  validate(schemas.historyQuery, { source: "query" }),
+  entityHistory("project")
+);
+
+app.get(
+  "/api/assignments/:id/history",
   authenticateToken,
   requireManager,
-  async (req, res) => {
+  validate(schemas.historyQuery, { source: "query" }),
+  entityHistory("assignment")
+);
+
+// Analytics Routes
+app.get(
+  "/api/analytics/utilization",
+  authenticateToken,
+  requireReader,
+  async (req, res, next) => {
     try {
-      const project = await Project.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-      }).populate("managerId", "name email");
+      const currentDate = new Date();
 
-      if (!project) {
-        return res.status(404).json({ error: "Project not found" });
-      }
+      // Sum the assignments running right now for every engineer in a single
+      // aggregation
+      const utilizationData = await User.aggregate([
+        { $match: { role: "engineer" } },
+        {
+          $lookup: {
+            from: Assignment.collection.name,
+            let: { engineerId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  deletedAt: null,
+                  $expr: {
+                    $and: [
+                      { $eq: ["$engineerId", "$$engineerId"] },
+                      { $lte: ["$startDate", currentDate] },
+                      { $gte: ["$endDate", currentDate] },
+                    ],
+                  },
+                },
+              },
+            ],
+            as: "activeAssignments",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            engineerId: "$_id",
+            name: 1,
+            maxCapacity: { $ifNull: ["$maxCapacity", 100] },
+            currentAllocation: {
+              $sum: "$activeAssignments.allocationPercentage",
+            },
+          },
+        },
+        {
+          $addFields: {
+            utilizationPercentage: {
+              $multiply: [
+                { $divide: ["$currentAllocation", "$maxCapacity"] },
+                100,
+              ],
+            },
+          },
+        },
+      ]);
 
-      res.json({ project });
+      res.json({ utilizationData });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-app.delete(
-  "/api/projects/:id",
+// Utilization over time in week or month buckets, optionally split by
+// department, seniority or skill. Each series holds one value per label so it
+// can be fed straight into a chart.
+app.get(
+  "/api/analytics/utilization/trends",
   authenticateToken,
-  requireManager,
-  async (req, res) => {
+  requireReader,
+  validate(schemas.utilizationTrendsQuery, { source: "query" }),
+  async (req, res, next) => {
     try {
-      const { id } = req.params;
+      const { interval = "week", groupBy } = req.query;
+      const from = new Date(req.query.from);
+      const to = new Date(req.query.to);
 
-      // Check if project exists
-      const project = await Project.findById(id);
-      if (!project) {
-        return res.status(404).json({ error: "Project not found" });
+      const errors = [];
+      checkDateRange(from, to, errors);
+      if (errors.length > 0) {
+        throw validationError(errors);
       }
 
-      // Check if there are any active assignments for this project
-      const activeAssignments = await Assignment.find({ projectId: id });
-      if (activeAssignments.length > 0) {
-        return res.status(400).json({
-          error:
-            "Cannot delete project with active assignments. Please remove all assignments first.",
-        });
+      // Check the size before building the buckets so a huge range is
+      // rejected without allocating them
+      if (countBuckets(from, to, interval) > MAX_TREND_BUCKETS) {
+        throw validationError([
+          {
+            field: "to",
+            message:
+              "Range is too long; use a larger interval or shorter range",
+          },
+        ]);
       }
+      const buckets = splitIntoBuckets(from, to, interval);
 
-      // Delete the project
-      await Project.findByIdAndDelete(id);
+      const rows = await loadEngineersWithAllocations(
+        { role: "engineer" },
+        from,
+        to
+      );
 
-      res.json({ message: "Project deleted successfully" });
+      res.json({
+        from,
+        to,
+        interval,
+        groupBy: groupBy || null,
+        underAllocatedThreshold: UNDER_ALLOCATED_THRESHOLD,
+        labels: buckets.map((bucket) => bucket.label),
+        buckets: buckets.map(({ label, startDate, endDate }) => ({
+          label,
+          startDate,
+          endDate,
+        })),
+        series: buildUtilizationSeries(rows, buckets, from, to, groupBy),
+      });
     } catch (error) {
-      console.error("Delete project error:", error);
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Assignment Routes
-app.get("/api/assignments", authenticateToken, async (req, res) => {
-  try {
-    let query = {};
-
-    // If engineer, only show their assignments
-    if (req.user.role === "engineer") {
-      query.engineerId = req.user.userId;
-    }
-
-    const assignments = await Assignment.find(query)
-      .populate("engineerId", "name email skills seniority")
-      .populate("projectId", "name description status")
-      .sort({ startDate: -1 });
-
-    res.json({ assignments });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post(
-  "/api/assignments",
+// Staffing health of every project: headcount against teamSize, FTE, skills
+// nobody on the team covers and stretches of the project with nobody on it
+app.get(
+  "/api/analytics/projects",
   authenticateToken,
-  requireManager,
-  async (req, res) => {
+  requireReader,
+  validate(schemas.projectHealthQuery, { source: "query" }),
+  async (req, res, next) => {
     try {
-      const {
-        engineerId,
-        projectId,
-        allocationPercentage,
-        startDate,
-        endDate,
-        role,
-      } = req.body;
-
-      console.log("Creating assignment with data:", {
-        engineerId,
-        projectId,
-        allocationPercentage,
-        startDate,
-        endDate,
-        role,
-      });
+      const { status, managerId, flagged } = req.query;
 
-      // Validate required fields
-      if (
-        !engineerId ||
-        !projectId ||
-        !allocationPercentage ||
-        !startDate ||
-        !endDate ||
-        !role
-      ) {
-        return res.status(400).json({
-          error:
-            "Missing required fields. Need: engineerId, projectId, allocationPercentage, startDate, endDate, role",
-        });
+      const query = {};
+      if (status) {
+        query.status = { $in: parseList(status) };
       }
-
-      // Validate engineer exists
-      const engineer = await User.findById(engineerId);
-      if (!engineer) {
-        return res.status(404).json({ error: "Engineer not found" });
+      if (managerId) {
+        query.managerId = managerId;
       }
 
-      // Validate project exists
-      const project = await Project.findById(projectId);
-      if (!project) {
-        return res.status(404).json({ error: "Project not found" });
-      }
+      const projects = await Project.find(query)
+        .populate("managerId", "name email")
+        .sort({ startDate: 1 });
+      const assignments = await Assignment.find({
+        projectId: { $in: projects.map((project) => project._id) },
+      }).populate("engineerId", "name email skills skillLevels seniority");
 
-      // Check if engineer has enough capacity
-      const availableCapacity = await getAvailableCapacity(
-        engineerId,
-        new Date(startDate),
-        new Date(endDate)
-      );
+      const byProject = new Map();
+      assignments.forEach((assignment) => {
+        const key = String(assignment.projectId);
+        if (!byProject.has(key)) byProject.set(key, []);
+        byProject.get(key).push(assignment);
+      });
 
-      console.log(
-        `Engineer ${engineer.name} has ${availableCapacity}% available capacity`
-      );
+      const today = new Date();
+      let results = projects.map((project) => ({
+        project: {
+          id: project._id,
+          name: project.name,
+          status: project.status,
+          startDate: project.startDate,
+          endDate: project.endDate,
+          requiredSkills: project.requiredSkills,
+          manager: project.managerId,
+        },
+        ...assessProjectStaffing(
+          project,
+          byProject.get(String(project._id)) || [],
+          today
+        ),
+      }));
 
-      if (allocationPercentage > availableCapacity) {
-        return res.status(400).json({
-          error: `Engineer only has ${availableCapacity}% capacity available for this period. Requested: ${allocationPercentage}%`,
-        });
+      if (flagged) {
+        results = results.filter((result) => result.flags.length > 0);
       }
 
-      // Create the assignment
-      const assignment = new Assignment({
-        engineerId,
-        projectId,
-        allocationPercentage: Number(allocationPercentage),
-        startDate: new Date(startDate),
-        endDate: new Date(endDate),
-        role: role || "Developer",
+      res.json({
+        summary: {
+          projects: results.length,
+          underStaffed: results.filter((result) => result.underStaffed).length,
+          missingSkills: results.filter(
+            (result) => result.missingSkills.length > 0
+          ).length,
+          withCoverageGaps: results.filter(
+            (result) => result.coverageGaps.length > 0
+          ).length,
+        },
+        projects: results,
       });
-
-      await assignment.save();
-
-      // Populate the assignment with engineer and project details
-      await assignment.populate("engineerId", "name email skills seniority");
-      await assignment.populate("projectId", "name description status");
-
-      console.log("Assignment created successfully:", assignment._id);
-
-      res.status(201).json({ assignment });
     } catch (error) {
-      console.error("Assignment creation error:", error);
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-app.put(
-  "/api/assignments/:id",
+// Demand from planning and active projects against engineer supply, month by
+// month and skill by skill, to show where hiring is needed
+app.get(
+  "/api/analytics/forecast",
   authenticateToken,
-  requireManager,
-  async (req, res) => {
+  requireReader,
+  validate(schemas.forecastQuery, { source: "query" }),
+  async (req, res, next) => {
     try {
-      const assignment = await Assignment.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true }
-      )
-        .populate("engineerId", "name email skills seniority")
-        .populate("projectId", "name description status");
+      const { months = 6, skill, department } = req.query;
 
-      if (!assignment) {
-        return res.status(404).json({ error: "Assignment not found" });
+      const today = fromDayIndex(toDayIndex(new Date()));
+      const horizon = new Date(
+        Date.UTC(
+          today.getUTCFullYear(),
+          today.getUTCMonth() + Number(months),
+          0
+        )
+      );
+      const buckets = splitIntoBuckets(today, horizon, "month");
+
+      const engineerMatch = { role: "engineer" };
+      if (department) {
+        engineerMatch.department = { $in: parseList(department) };
       }
 
-      res.json({ assignment });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-  }
-);
+      const rows = await loadEngineersWithAllocations(
+        engineerMatch,
+        today,
+        horizon
+      );
+      const projects = await Project.find({
+        status: { $in: ["planning", "active"] },
+        startDate: { $lte: horizon },
+        endDate: { $gte: today },
+      });
+      const assignments = await Assignment.find({
+        projectId: { $in: projects.map((project) => project._id) },
+        startDate: { $lte: horizon },
+        endDate: { $gte: today },
+      });
 
-app.delete(
-  "/api/assignments/:id",
-  authenticateToken,
-  requireManager,
-  async (req, res) => {
-    try {
-      const assignment = await Assignment.findByIdAndDelete(req.params.id);
+      const assignmentsByProject = new Map();
+      assignments.forEach((assignment) => {
+        const key = String(assignment.projectId);
+        if (!assignmentsByProject.has(key)) assignmentsByProject.set(key, []);
+        assignmentsByProject.get(key).push(assignment);
+      });
 
-      if (!assignment) {
-        return res.status(404).json({ error: "Assignment not found" });
+      let forecast = forecastCapacity(
+        rows,
+        projects,
+        assignmentsByProject,
+        buckets
+      );
+
+      if (skill) {
+        const wanted = new Set(parseList(skill).map(normalizeSkill));
+        forecast = forecast.map((month) => ({
+          ...month,
+          skills: month.skills.filter((item) =>
+            wanted.has(normalizeSkill(item.skill))
+          ),
+        }));
       }
 
-      res.json({ message: "Assignment deleted successfully" });
+      // The worst month for each skill decides how many people to hire
+      const hiring = new Map();
+      forecast.forEach((month) => {
+        month.skills.forEach((item) => {
+          const key = normalizeSkill(item.skill);
+          if (item.balance >= 0) return;
+          if (
+            hiring.has(key) &&
+            hiring.get(key).shortfallFte >= -item.balance
+          ) {
+            return;
+          }
+          hiring.set(key, {
+            skill: item.skill,
+            shortfallFte: -item.balance,
+            peakMonth: month.month,
+            suggestedHires: Math.ceil(-item.balance),
+          });
+        });
+      });
+
+      res.json({
+        from: today,
+        to: horizon,
+        months: forecast,
+        hiring: [...hiring.values()].sort(
+          (a, b) => b.shortfallFte - a.shortfallFte
+        ),
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
-// Analytics Routes
+// Who frees up soon, and who is on the bench right now
 app.get(
-  "/api/analytics/utilization",
+  "/api/analytics/availability",
   authenticateToken,
-  requireManager,
-  async (req, res) => {
+  requireReader,
+  validate(schemas.availabilityQuery, { source: "query" }),
+  async (req, res, next) => {
     try {
-      const engineers = await User.find({ role: "engineer" });
-      const currentDate = new Date();
+      const { weeks = 4, skill, seniority, department } = req.query;
 
-      const utilizationData = await Promise.all(
-        engineers.map(async (engineer) => {
-          const assignments = await Assignment.find({
-            engineerId: engineer._id,
-            startDate: { $lte: currentDate },
-            endDate: { $gte: currentDate },
-          });
+      const today = fromDayIndex(toDayIndex(new Date()));
+      const horizon = fromDayIndex(toDayIndex(today) + Number(weeks) * 7 - 1);
+
+      const match = { role: "engineer" };
+      if (skill) {
+        match.skills = { $all: await resolveSkillFilter(skill) };
+      }
+      if (seniority) {
+        match.seniority = { $in: parseList(seniority) };
+      }
+      if (department) {
+        match.department = { $in: parseList(department) };
+      }
+
+      const rows = await loadEngineersWithAllocations(match, today, horizon);
 
-          const currentAllocation = assignments.reduce((sum, assignment) => {
-            return sum + assignment.allocationPercentage;
-          }, 0);
+      // Look up project names for the assignments that are about to end
+      const projectIds = rows.flatMap((row) =>
+        row.assignments.map((assignment) => assignment.projectId)
+      );
+      const projects = await Project.find({ _id: { $in: projectIds } }).select(
+        "name"
+      );
+      const projectNames = new Map(
+        projects.map((project) => [String(project._id), project.name])
+      );
+
+      const summarize = ({
+        _id,
+        name,
+        email,
+        seniority,
+        department,
+        skills,
+      }) => ({ id: _id, name, email, seniority, department, skills });
+
+      const upcoming = [];
+      const benchRows = [];
+
+      rows.forEach((row) => {
+        const current = buildAllocationTimeline(row.assignments, today, today);
+        const currentAllocation = current.length ? current[0].allocation : 0;
+
+        if (currentAllocation === 0) {
+          benchRows.push(row);
+          return;
+        }
+
+        const drop = findNextAllocationDrop(row.assignments, today, horizon);
+        if (!drop) return;
+
+        upcoming.push({
+          engineer: summarize(row.engineer),
+          maxCapacity: row.engineer.maxCapacity,
+          currentAllocation,
+          availableFrom: drop.date,
+          allocationAfter: drop.allocationAfter,
+          freedCapacity: drop.freedCapacity,
+          availableCapacityAfter: Math.max(
+            0,
+            row.engineer.maxCapacity - drop.allocationAfter
+          ),
+          endingAssignments: drop.endingAssignments.map((assignment) => ({
+            id: assignment._id,
+            projectId: assignment.projectId,
+            projectName: projectNames.get(String(assignment.projectId)),
+            role: assignment.role,
+            allocationPercentage: assignment.allocationPercentage,
+            endDate: assignment.endDate,
+          })),
+        });
+      });
+
+      upcoming.sort((a, b) => a.availableFrom - b.availableFrom);
+
+      // Bench engineers have been free since their last assignment ended, or
+      // since they joined if they never had one
+      const lastEnded = await Assignment.aggregate([
+        {
+          $match: {
+            engineerId: { $in: benchRows.map((row) => row.engineer._id) },
+            endDate: { $lt: today },
+          },
+        },
+        { $group: { _id: "$engineerId", lastEndDate: { $max: "$endDate" } } },
+      ]);
+      const lastEndedById = new Map(
+        lastEnded.map((item) => [String(item._id), item.lastEndDate])
+      );
 
+      const bench = benchRows
+        .map((row) => {
+          const lastEndDate = lastEndedById.get(String(row.engineer._id));
+          const benchSince = lastEndDate
+            ? fromDayIndex(toDayIndex(lastEndDate) + 1)
+            : row.engineer.createdAt;
           return {
-            engineerId: engineer._id,
-            name: engineer.name,
-            maxCapacity: engineer.maxCapacity,
-            currentAllocation,
-            utilizationPercentage:
-              (currentAllocation / engineer.maxCapacity) * 100,
+            engineer: summarize(row.engineer),
+            maxCapacity: row.engineer.maxCapacity,
+            benchSince,
+            benchDays: benchSince
+              ? toDayIndex(today) - toDayIndex(benchSince)
+              : null,
           };
         })
-      );
+        .sort((a, b) => (b.benchDays || 0) - (a.benchDays || 0));
 
-      res.json({ utilizationData });
+      res.json({
+        from: today,
+        to: horizon,
+        upcoming,
+        bench,
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 );
 
+// The seed endpoint wipes every collection. It is refused in production
+// unless ALLOW_SEED=true, and once an admin exists only an admin may call it.
+const guardSeed = async (req, res, next) => {
+  if (
+    process.env.NODE_ENV === "production" &&
+    process.env.ALLOW_SEED !== "true"
+  ) {
+    return next(
+      httpError(403, "Seeding is disabled in production", { rule: "seed" })
+    );
+  }
+
+  try {
+    if (!(await User.exists({ role: "admin" }))) return next();
+  } catch (error) {
+    return next(error);
+  }
+
+  authenticateToken(req, res, (error) =>
+    error ? next(error) : requireAdmin(req, res, next)
+  );
+};
+
 // Seed data endpoint (for development)
-app.post("/api/seed", async (req, res) => {
+app.post("/api/seed", guardSeed, async (req, res, next) => {
   try {
     // Clear existing data
     await User.deleteMany({});
     await Project.deleteMany({});
     await Assignment.deleteMany({});
+    await Skill.deleteMany({});
+    await Session.deleteMany({});
+    await Invite.deleteMany({});
+    await TimeOff.deleteMany({});
+    await Webhook.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await Notification.deleteMany({});
 
-    // Create sample users
-    const hashedPassword = await bcrypt.hash("password123", 10);
+    // Create the skills catalog
+    const skills = await Skill.insertMany([
+      { name: "React", category: "Frontend", aliases: ["ReactJS"] },
+      { name: "Next.js", category: "Frontend", aliases: ["Next", "NextJS"] },
+      { name: "TypeScript", category: "Frontend", aliases: ["TS"] },
+      { name: "JavaScript", category: "Frontend", aliases: ["JS"] },
+      { name: "D3.js", category: "Frontend", aliases: ["D3"] },
+      { name: "GraphQL", category: "Backend" },
+      { name: "Node.js", category: "Backend", aliases: ["Node", "NodeJS"] },
+      { name: "Python", category: "Backend" },
+      { name: "Django", category: "Backend" },
+      { name: "MongoDB", category: "Database", aliases: ["Mongo"] },
+      {
+        name: "PostgreSQL",
+        category: "Database",
+        aliases: ["Postgres", "psql"],
+      },
+      { name: "Docker", category: "DevOps" },
+    ]);
 
-    const users = await User.insertMany([
+    // Create sample users, each with a random password that is only returned
+    // in this response
+    const sampleUsers = [
+      {
+        email: "admin@company.com",
+        name: "Admin User",
+        role: "admin",
+        department: "Engineering",
+      },
       {
         email: "manager@company.com",
         name: "Sarah Johnson",
-        password: hashedPassword,
         role: "manager",
         department: "Engineering",
+        managedDepartments: ["Engineering"],
       },
       {
         email: "john@company.com",
         name: "John Doe",
-        password: hashedPassword,
         role: "engineer",
         skills: ["React", "Node.js", "JavaScript", "MongoDB"],
+        skillLevels: [
+          { skill: "React", level: 5 },
+          { skill: "Node.js", level: 4 },
+          { skill: "JavaScript", level: 5 },
+          { skill: "MongoDB", level: 3 },
+        ],
         seniority: "senior",
         maxCapacity: 100,
         department: "Frontend",
@@ -638,9 +8122,14 @@ app.post("/api/seed", async (req, res) => {
       {
         email: "alice@company.com",
         name: "Alice Smith",
-        password: hashedPassword,
         role: "engineer",
         skills: ["Python", "Django", "PostgreSQL", "Docker"],
+        skillLevels: [
+          { skill: "Python", level: 4 },
+          { skill: "Django", level: 4 },
+          { skill: "PostgreSQL", level: 3 },
+          { skill: "Docker", level: 2 },
+        ],
         seniority: "mid",
         maxCapacity: 100,
         department: "Backend",
@@ -648,14 +8137,33 @@ app.post("/api/seed", async (req, res) => {
       {
         email: "bob@company.com",
         name: "Bob Wilson",
-        password: hashedPassword,
         role: "engineer",
         skills: ["React", "TypeScript", "Next.js", "GraphQL"],
+        skillLevels: [
+          { skill: "React", level: 3 },
+          { skill: "TypeScript", level: 2 },
+          { skill: "Next.js", level: 2 },
+          { skill: "GraphQL", level: 2 },
+        ],
         seniority: "junior",
         maxCapacity: 50, // Part-time
         department: "Frontend",
       },
-    ]);
+    ];
+    const credentials = sampleUsers.map(({ email, role }) => ({
+      email,
+      role,
+      password: crypto.randomBytes(12).toString("base64url"),
+    }));
+
+    const users = await User.insertMany(
+      await Promise.all(
+        sampleUsers.map(async (user, index) => ({
+          ...user,
+          password: await bcrypt.hash(credentials[index].password, 10),
+        }))
+      )
+    );
 
     const manager = users.find((u) => u.role === "manager");
 
@@ -668,9 +8176,11 @@ app.post("/api/seed", async (req, res) => {
         startDate: new Date("2025-06-01"),
         endDate: new Date("2025-09-30"),
         requiredSkills: ["React", "Node.js", "MongoDB"],
+        requiredSkillLevels: [{ skill: "React", minLevel: 3 }],
         teamSize: 3,
         status: "active",
         managerId: manager._id,
+        department: "Engineering",
       },
       {
         name: "Mobile App Backend",
@@ -681,6 +8191,7 @@ app.post("/api/seed", async (req, res) => {
         teamSize: 2,
         status: "planning",
         managerId: manager._id,
+        department: "Engineering",
       },
       {
         name: "Dashboard Analytics",
@@ -691,12 +8202,13 @@ app.post("/api/seed", async (req, res) => {
         teamSize: 2,
         status: "active",
         managerId: manager._id,
+        department: "Engineering",
       },
     ]);
 
     // Create sample assignments
     const engineers = users.filter((u) => u.role === "engineer");
-    await Assignment.insertMany([
+    const assignments = await Assignment.insertMany([
       {
         engineerId: engineers[0]._id, // John
         projectId: projects[0]._id,
@@ -723,15 +8235,149 @@ app.post("/api/seed", async (req, res) => {
       },
     ]);
 
-    res.json({ message: "Sample data created successfully" });
+    // The audit log is kept across reseeds; the reseed itself is recorded
+    await recordAudit(req, {
+      action: "seed",
+      entity: "system",
+      after: {
+        skills: skills.length,
+        users: users.length,
+        projects: projects.length,
+        assignments: assignments.length,
+      },
+      reason: "All data replaced with sample data",
+    });
+
+    res.json({ message: "Sample data created successfully", credentials });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-const PORT = process.env.PORT || 3004;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Error handler
+//
+// Every error response uses the same envelope:
+//   { "error": "Readable message", "code": "VALIDATION_ERROR",
+//     "details": [{ "field": "endDate", "message": "..." }] }
+// details is only present for validation errors. Routes may add extra fields
+// (for example the conflicts of a failed capacity check).
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  500: "INTERNAL_ERROR",
+};
+
+// Unknown routes get the same envelope as every other error
+app.use((req, res, next) => {
+  next(httpError(404, `Route not found: ${req.method} ${req.path}`));
+});
+
+app.use((error, req, res, next) => {
+  if (error.status && error.response) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: ERROR_CODES[error.status],
+      ...error.response,
+    });
+  }
+
+  // Mongoose schema validation
+  if (error.name === "ValidationError") {
+    const details = Object.values(error.errors).map((item) => ({
+      field: item.path,
+      message: item.message,
+    }));
+    return res.status(400).json({
+      error: details.map((detail) => detail.message).join("; "),
+      code: "VALIDATION_ERROR",
+      details,
+    });
+  }
+
+  // A value that cannot be cast to the schema type, usually a bad ObjectId
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      error: `Invalid ${error.path}: ${error.value}`,
+      code: error.kind === "ObjectId" ? "INVALID_ID" : "VALIDATION_ERROR",
+      details: [{ field: error.path, message: `Invalid ${error.path}` }],
+    });
+  }
+
+  // Unique index violations, e.g. registering an email twice
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0];
+    return res.status(409).json({
+      error:
+        field === "email"
+          ? "User already exists"
+          : `Duplicate value for ${field || "a unique field"}`,
+      code: "DUPLICATE_KEY",
+    });
+  }
+
+  // Plan acceptance, skill merges, project closes and deletes, bulk changes
+  // and imports run in transactions, which a standalone mongod rejects
+  if (error.code === 20 && /Transaction numbers/.test(error.message)) {
+    return res.status(503).json({
+      error:
+        "This operation needs MongoDB transactions, which require a replica set. Connect to a replica set (Atlas always is one) or start mongod with --replSet.",
+      code: "TRANSACTIONS_UNAVAILABLE",
+    });
+  }
+
+  // Malformed JSON body
+  if (error.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ error: "Request body is not valid JSON", code: "INVALID_JSON" });
+  }
+
+  // Other request errors from the body parsers, such as a body over the size
+  // limit or an unsupported Content-Encoding
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: ERROR_CODES[error.status] || ERROR_CODES[400],
+    });
+  }
+
+  console.error("Unhandled error:", error);
+  res.status(500).json({
+    error:
+      process.env.NODE_ENV === "production"
+        ? "Internal server error"
+        : error.message,
+    code: ERROR_CODES[500],
+  });
 });
 
+// Connect to MongoDB, start the background jobs and listen. This only runs
+// when the server is started directly, so scripts can require the app
+// without side effects.
+const startServer = () => {
+  mongoose.connect(process.env.MONGO_URI).then(() => {
+    console.log("Connected to DB");
+    scheduleProjectLifecycleJob();
+    scheduleWebhookDispatcher();
+    scheduleLiveHeartbeats();
+  });
+
+  const PORT = process.env.PORT || 3004;
+  return app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  startServer();
+}
+
 module.exports = app;
+module.exports.startServer = startServer;
+// Exposed for scripts/benchmark-capacity.js
+module.exports.loadEngineersWithCapacity = loadEngineersWithCapacity;